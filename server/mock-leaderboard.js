@@ -0,0 +1,89 @@
+import { createServer } from 'node:http';
+import { checkRun } from '../src/scoring.js';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Mock leaderboard server
+//  An in-memory stand-in for a shared online board, for trying the HTTP
+//  adapter in src/online.js (which documents the API):
+//    npm run mock-server                                (PORT, default 8787)
+//    VITE_LEADERBOARD_URL=http://localhost:8787 npm run dev
+//  Runs are checked the same way the local adapter checks them. Scores are
+//  gone when the server stops.
+// ─────────────────────────────────────────────────────────────────────────
+const PORT       = Number(process.env.PORT) || 8787;
+const BOARD_SIZE = 100;
+const MAX_LIMIT  = 50;
+const MAX_BODY   = 16 * 1024; // bytes
+
+const board = [];
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type':                 'application/json',
+    'Access-Control-Allow-Origin':  '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    const onData = chunk => {
+      text += chunk;
+      if (text.length > MAX_BODY) {
+        // Stop keeping the body; the rest is read and dropped so the 400 can go out
+        req.off('data', onData);
+        req.resume();
+        text = '';
+        reject(new Error('RUN IS TOO LARGE'));
+      }
+    };
+    req.on('data', onData);
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(text));
+      } catch {
+        reject(new Error('NOT A RUN'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function postScore(req, res) {
+  let run;
+  try {
+    run = await readJson(req);
+  } catch (err) {
+    return send(res, 400, { error: err.message });
+  }
+  const problem = checkRun(run);
+  if (problem) return send(res, 400, { error: problem });
+
+  const { name, score, mode, character } = run;
+  const entry = { name, score, mode, character, date: new Date().toISOString() };
+  board.push(entry);
+  board.sort((a, b) => b.score - a.score); // stable, so ties go below
+  const rank = board.indexOf(entry) + 1;
+  board.length = Math.min(board.length, BOARD_SIZE);
+  console.log(`${name} ${score} → #${rank}`);
+  send(res, 201, { rank });
+}
+
+function getScores(url, res) {
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 10, 1), MAX_LIMIT);
+  send(res, 200, board.slice(0, limit));
+}
+
+createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (url.pathname !== '/scores') return send(res, 404, { error: 'NOT FOUND' });
+  if (req.method === 'POST') return postScore(req, res);
+  if (req.method === 'GET') return getScores(url, res);
+  send(res, 405, { error: 'METHOD NOT ALLOWED' });
+}).listen(PORT, () => {
+  console.log(`Mock leaderboard on http://localhost:${PORT}/scores`);
+});
@@ -0,0 +1,44 @@
+import { ACHIEVEMENTS } from './achievements';
+
+// Pop-ups over the canvas for achievements just earned; Game removes each
+// after a few seconds
+export function AchievementToasts({ toasts }) {
+  return (
+    <div class="toasts" role="status" aria-live="polite">
+      {toasts.map(({ key, def }) => (
+        <div class="toast" key={key}>
+          <span class="toast-label">ACHIEVEMENT</span>
+          <span class="toast-name">{def.name}</span>
+          <span class="toast-desc">{def.desc}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// progress: see achievements.js
+export default function AchievementsScreen({ progress, onClose }) {
+  const { unlocked, totals } = progress;
+  const count = ACHIEVEMENTS.filter(a => unlocked[a.id]).length;
+  return (
+    <div class="char-panel achievements-panel">
+      <div class="char-heading">ACHIEVEMENTS {count}/{ACHIEVEMENTS.length}</div>
+      <div class="achievements-grid">
+        {ACHIEVEMENTS.map(a => {
+          const date = unlocked[a.id];
+          const [done, needed] = a.progress?.(totals) ?? [];
+          return (
+            <div key={a.id} class={`achievement${date ? '' : ' locked'}`}>
+              <span class="char-name">{a.name}</span>
+              <span class="char-blurb">{a.desc}</span>
+              <span class="achievement-state">
+                {date ? date.slice(0, 10) : needed ? `${done}/${needed}` : 'LOCKED'}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+      <button class="overlay-btn" onClick={onClose}>BACK</button>
+    </div>
+  );
+}
@@ -1,5 +1,16 @@
+import { useEffect, useState } from 'preact/hooks';
 import Game from './Game';
+import ResumeScreen from './ResumeScreen';
+
+// '#resume' skips the game for a plain page with the same content
+const RESUME_HASH = '#resume';
 
 export default function App() {
-  return <Game />;
+  const [hash, setHash] = useState(location.hash);
+  useEffect(() => {
+    const onHashChange = () => setHash(location.hash);
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+  return hash === RESUME_HASH ? <ResumeScreen /> : <Game />;
 }
@@ -0,0 +1,55 @@
+import { useEffect, useRef } from 'preact/hooks';
+import { drawSprite, CHAR_H } from './sprite';
+import { CHARACTERS, characterAtlas, isUnlocked } from './characters';
+
+const CARD_W = 96;
+const CARD_H = 112;
+
+// Runs the character's run animation in a small canvas
+function RunnerPreview({ character, spritesRef, locked }) {
+  const canvasRef = useRef(null);
+  useEffect(() => {
+    const atlas = characterAtlas(character);
+    const ctx   = canvasRef.current.getContext('2d');
+    const poses = atlas.animations.run.poses;
+    let i = 0;
+    const draw = () => {
+      ctx.clearRect(0, 0, CARD_W, CARD_H);
+      const spr = spritesRef.current[atlas.id]?.canvas;
+      if (!spr) return;
+      const pose = poses[i++ % poses.length];
+      ctx.filter = locked ? 'brightness(0)' : 'none';
+      drawSprite(ctx, spr, atlas, pose.frame, (CARD_W - atlas.w) / 2, CARD_H - CHAR_H - 4 + pose.dy, atlas.w, pose.h);
+    };
+    draw();
+    const timer = setInterval(draw, 1000 / atlas.animations.run.fps);
+    return () => clearInterval(timer);
+  }, [character, locked]);
+  return <canvas ref={canvasRef} class="char-preview" width={CARD_W} height={CARD_H} />;
+}
+
+export default function CharacterSelect({ character, hiScore, spritesRef, onSelect, onClose }) {
+  return (
+    <div class="char-panel">
+      <div class="char-heading">SELECT RUNNER</div>
+      <div class="char-grid">
+        {CHARACTERS.map(c => {
+          const locked = !isUnlocked(c, hiScore);
+          return (
+            <button
+              key={c.id}
+              class={`char-card${c.id === character.id ? ' active' : ''}${locked ? ' locked' : ''}`}
+              disabled={locked}
+              onClick={() => onSelect(c)}
+            >
+              <RunnerPreview character={c} spritesRef={spritesRef} locked={locked} />
+              <span class="char-name">{locked ? '???' : c.name}</span>
+              <span class="char-blurb">{locked ? `BEST ${c.unlockScore} TO UNLOCK` : c.blurb}</span>
+            </button>
+          );
+        })}
+      </div>
+      <button class="overlay-btn" onClick={onClose}>BACK</button>
+    </div>
+  );
+}
@@ -1,238 +1,60 @@
 import { useEffect, useRef, useState } from 'preact/hooks';
 import './Game.css';
-import { GROUND_RATIO } from './constants';
-import { scheduleMusic } from './music';
+import { GROUND_RATIO, VIEW_W, VIEW_H } from './constants';
+import { fitView } from './view';
+import { loadAudioSettings, saveAudioSettings, createAudio, setVolumes, holdAudio } from './audio';
+import { startMusic, stopMusic, playSong, setTempo } from './music';
+import { playSfx } from './sfx';
+import { SONGS } from './song';
+import { processSprite, drawRunner, runnerPose, ATLASES } from './sprite';
+import { drawObstacle, getObstacleHitbox, getObstacleMask, clearObstacleBitmaps } from './obstacles';
+import { POWERS, drawPickup } from './pickups';
+import { stepBillboards, touchedBillboard, nearbyBillboard, drawBillboard } from './portfolio';
+import { buildRunnerMasks, drawMask, maskKey } from './masks';
+import {
+  STEP_MS, PHYSICS_DEFAULTS, createState, jump, releaseJump, slide, slideTap, step, lerp, runnerBox,
+} from './sim';
+import { makeRng, randomSeed, subSeed, SEED_SKYLINE, SEED_STARS } from './rng';
+import { loadGhost, saveGhost, createGhost, stepGhost } from './ghost';
+import { dailySeed, loadDaily, saveDailyResult } from './daily';
+import { createRecorder, recordInput, createPlayer, applyReplayInputs, parseReplay, downloadReplay } from './replay';
 import ScoreHud from './ScoreHud';
 import Overlay from './Overlay';
 import Settings from './Settings';
 import SocialLinks from './SocialLinks';
-
-// ─── Sprite sheet constants ────────────────────────────────────────────────
-// Sheet layout: 6 cols × 3 rows, 226 × 261 px per frame
-const FRAME_W    = 226;
-const FRAME_H    = 261;
-const COLS       = 6;
-const RUN_FRAMES = [0, 1, 2, 3, 4, 5];  // row 0
-const JUMP_FRAME = 9;                    // row 1, col 3
-const DEAD_FRAME = 11;                   // row 1, col 5
-
-// On-screen display size (maintains 226:261 aspect ratio)
-const CHAR_H        = 96;
-const CHAR_W        = Math.round(CHAR_H * FRAME_W / FRAME_H); // ≈ 83 px
-const CHAR_FOOT_OFF = 10; // empty px below feet in sprite frame
-
-// ─── Background removal (green-screen keying) ─────────────────────────────
-// Sprite sheet is flattened onto solid green. Any pixel where green
-// dominates red and blue is zeroed out.
-function processSprite(img) {
-  const oc  = document.createElement('canvas');
-  oc.width  = img.naturalWidth;
-  oc.height = img.naturalHeight;
-  const ox  = oc.getContext('2d', { willReadFrequently: true });
-  ox.drawImage(img, 0, 0);
-  const id  = ox.getImageData(0, 0, oc.width, oc.height);
-  const d   = id.data;
-
-  for (let i = 0; i < d.length; i += 4) {
-    const r = d[i], g = d[i + 1], b = d[i + 2];
-    if (g > 100 && g > r + 40 && g > b + 40) {
-      d[i + 3] = 0;
-    }
-  }
-
-  ox.putImageData(id, 0, 0);
-  return oc;
-}
-
-// Draws one frame from the processed sprite canvas at target position / size
-function drawSprite(ctx, spriteCanvas, frameIdx, dx, dy, dw, dh) {
-  const col = frameIdx % COLS;
-  const row = Math.floor(frameIdx / COLS);
-  ctx.drawImage(
-    spriteCanvas,
-    col * FRAME_W, row * FRAME_H, FRAME_W, FRAME_H,
-    dx, dy, dw, dh,
-  );
-}
-
-// ─── Physics / speed ──────────────────────────────────────────────────────
-const GRAVITY     = 0.62;
-const JUMP_FORCE  = -15;
-const INIT_SPEED  = 5;
-const MAX_SPEED   = 22;
-const SCORE_RATE  = 0.009;
-const SPEED_RATE  = 0.014;
-
-// ─── Obstacle spacing ─────────────────────────────────────────────────────
-const MIN_GAP_PX  = 420;
-const MAX_GAP_PX  = 950;
-
-// ─── Animation ────────────────────────────────────────────────────────────
-const ANIM_FPS    = 10;
-
-// ─────────────────────────────────────────────────────────────────────────
-//  City obstacle bitmaps
-//  palette indices: 0 = transparent, 1+ = palette[index - 1]
-// ─────────────────────────────────────────────────────────────────────────
-const OBSTACLE_DEFS = [
-  // Type 0 — street lamp
-  // 1=pole  2=lamp
-  {
-    scale: 7,
-    palette: ['#5c5c80', '#fce060'],
-    rows: [
-      [0,0,2,2,0],
-      [0,0,2,2,0],
-      [0,1,1,0,0],
-      [0,0,1,0,0],
-      [0,0,1,0,0],
-      [0,0,1,0,0],
-      [0,0,1,0,0],
-      [0,0,1,0,0],
-      [0,0,1,0,0],
-      [0,0,1,0,0],
-      [0,0,1,0,0],
-      [0,1,1,1,0],
-      [0,1,1,1,0],
-    ],
-  },
-  // Type 1 — fire hydrant
-  // 1=body
-  {
-    scale: 8,
-    palette: ['#b82a18'],
-    rows: [
-      [0,1,1,1,0],
-      [1,1,1,1,1],
-      [0,1,1,1,0],
-      [0,1,1,1,0],
-      [0,1,1,1,0],
-      [1,1,1,1,1],
-      [1,1,1,1,1],
-    ],
-  },
-  // Type 2 — trash can
-  // 1=body  2=lid
-  {
-    scale: 7,
-    palette: ['#4a4a5a', '#6a6a7a'],
-    rows: [
-      [0,2,2,2,0],
-      [2,2,2,2,2],
-      [1,1,1,1,1],
-      [1,1,1,1,1],
-      [1,1,1,1,1],
-      [1,1,1,1,1],
-      [1,1,1,1,1],
-      [1,1,1,1,1],
-      [0,1,1,1,0],
-    ],
-  },
-];
-
-function getObstacleSize(type) {
-  const d = OBSTACLE_DEFS[type];
-  return { w: d.rows[0].length * d.scale, h: d.rows.length * d.scale };
-}
-
-function drawObstacle(ctx, x, groundY, type) {
-  const { rows, scale, palette } = OBSTACLE_DEFS[type];
-  const totalH = rows.length * scale;
-  const startY = groundY - totalH;
-  rows.forEach((row, ri) => {
-    row.forEach((colorIdx, ci) => {
-      if (!colorIdx) return;
-      ctx.fillStyle = palette[colorIdx - 1];
-      ctx.fillRect(x + ci * scale, startY + ri * scale, scale, scale);
-    });
-  });
-}
-
-// ─────────────────────────────────────────────────────────────────────────
-//  Building / skyline generation
-// ─────────────────────────────────────────────────────────────────────────
-function genBuildings(count, minW, maxW, minH, maxH) {
-  const buildings = [];
-  let x = 0;
-  for (let i = 0; i < count; i++) {
-    const bw     = minW + Math.floor(Math.random() * (maxW - minW + 1));
-    const bh     = minH + Math.floor(Math.random() * (maxH - minH + 1));
-    const floorH = 14, colW = 12;
-    const floors = Math.floor(bh / floorH);
-    const cols   = Math.floor(bw / colW);
-    const windows = [];
-    for (let f = 0; f < floors; f++) {
-      for (let c = 0; c < cols; c++) {
-        if (Math.random() > 0.3) windows.push({ f, c, lit: Math.random() > 0.25 });
-      }
-    }
-    buildings.push({ x, bw, bh, floors, cols, floorH, colW, windows });
-    x += bw + 3 + Math.floor(Math.random() * 10);
-  }
-  return { buildings, totalW: x };
-}
-
-// ─────────────────────────────────────────────────────────────────────────
-//  Star field
-// ─────────────────────────────────────────────────────────────────────────
-function genStars(w, groundY) {
-  return Array.from({ length: 180 }, () => ({
-    x:  Math.random() * w,
-    y:  Math.random() * groundY * 0.88,
-    r:  Math.random() < 0.2 ? 1.4 : 0.8,
-    a:  0.45 + Math.random() * 0.55,
-    tw: 0.25 + Math.random() * 1.1,
-    tp: Math.random() * Math.PI * 2,
-  }));
-}
+import ObstacleEditor from './ObstacleEditor';
+import CharacterSelect from './CharacterSelect';
+import StatsScreen from './StatsScreen';
+import {
+  CHARACTERS, characterById, characterAtlas, characterPhysics, loadCharacter, saveCharacter,
+} from './characters';
+import { levelWithObstacles } from './level';
+import { skyAt } from './daycycle';
+import { genBuildings, genStars, drawSky, drawStars, drawLayer, clearLayerCache } from './backdrop';
+import { createFrameMonitor, trackFrame } from './quality';
+import { loadBindings, saveBindings, actionForKey, pollGamepads, keyLabel } from './input';
+import {
+  loadAccess, saveAccess, REDUCED_MOTION_QUERY, reducedMotion, isAssisted, assistPhysics, autoTimingInput,
+} from './access';
+import {
+  weatherById, pickWeather, weatherPhysics, obstacleVisibility, genParticles, drawWeather,
+} from './weather';
+import { loadCustomObstacles, saveCustomObstacles } from './customObstacles';
+import {
+  loadPhysics, savePhysics, loadPresets, savePresets, presetFromUrl, clearPresetUrl, isDefaultPhysics, presetName,
+  isBuiltinPreset,
+} from './presets';
+import {
+  loadScores, loadStats, runSummary, qualifies, addScore, recordRun, loadInitials, saveInitials,
+} from './leaderboard';
+import { boardAdapter, onlineRun, submitRun } from './online';
+import { createTracker, trackAchievements } from './achievements';
+import AchievementsScreen, { AchievementToasts } from './AchievementsScreen';
+import { BillboardPanel } from './ResumeScreen';
 
 // ─────────────────────────────────────────────────────────────────────────
 //  Draw helpers
 // ─────────────────────────────────────────────────────────────────────────
-function drawSky(ctx, w, groundY) {
-  const g = ctx.createLinearGradient(0, 0, 0, groundY);
-  g.addColorStop(0,   '#0b0920');
-  g.addColorStop(0.6, '#171232');
-  g.addColorStop(1,   '#201a45');
-  ctx.fillStyle = g;
-  ctx.fillRect(0, 0, w, groundY);
-}
-
-function drawStars(ctx, stars, t) {
-  stars.forEach(s => {
-    const alpha = s.a * (0.65 + 0.35 * Math.sin(t * 0.001 * s.tw + s.tp));
-    ctx.fillStyle = `rgba(255,255,255,${alpha.toFixed(2)})`;
-    ctx.beginPath();
-    ctx.arc(s.x, s.y, s.r, 0, Math.PI * 2);
-    ctx.fill();
-  });
-}
-
-function drawLayer(ctx, layer, offset, groundY, alpha) {
-  const { buildings, totalW } = layer;
-  if (totalW === 0) return;
-  ctx.globalAlpha = alpha;
-  buildings.forEach(b => {
-    for (let rep = -1; rep < 3; rep++) {
-      const bx = b.x - (offset % totalW) + rep * totalW;
-      if (bx > ctx.canvas.width + 200 || bx + b.bw < -200) continue;
-      const by = groundY - b.bh;
-      ctx.fillStyle = '#080717';
-      ctx.fillRect(bx, by, b.bw, b.bh);
-      b.windows.forEach(win => {
-        if (!win.lit) return;
-        const wx = bx + win.c * b.colW + 3;
-        const wy = by + win.f * b.floorH + 3;
-        ctx.fillStyle = '#f4c540';
-        ctx.fillRect(wx, wy, 5, 7);
-        ctx.fillStyle = 'rgba(244,197,64,0.12)';
-        ctx.fillRect(wx - 2, wy - 2, 9, 11);
-      });
-    }
-  });
-  ctx.globalAlpha = 1;
-}
-
 function drawGround(ctx, w, groundY, canvasH, scrollOff) {
   ctx.fillStyle = '#100e24';
   ctx.fillRect(0, groundY, w, canvasH - groundY);
@@ -251,27 +73,77 @@ function drawGround(ctx, w, groundY, canvasH, scrollOff) {
   }
 }
 
-// ─────────────────────────────────────────────────────────────────────────
-//  Physics defaults
-// ─────────────────────────────────────────────────────────────────────────
-const PHYSICS_DEFAULTS = {
-  gravity:   GRAVITY,
-  jumpForce: JUMP_FORCE,
-  initSpeed: INIT_SPEED,
-  maxSpeed:  MAX_SPEED,
-  speedRate: SPEED_RATE,
-  minGap:    MIN_GAP_PX,
-  maxGap:    MAX_GAP_PX,
-};
+// Collision debug: solid mask pixels plus the broad-phase boxes
+const DEBUG_RUNNER   = [0, 255, 255, 150];
+const DEBUG_OBSTACLE = [255, 0, 255, 150];
+
+function drawCollisionDebug(ctx, g) {
+  const ch   = g.char;
+  const pose = runnerPose(g.atlas, ch);
+  const mask = g.masks?.get(maskKey(pose.frame, pose.h));
+  const cb   = runnerBox(g, pose, mask);
+  if (mask) drawMask(ctx, mask, Math.round(cb.left), Math.round(cb.top), DEBUG_RUNNER);
+
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = 'rgb(0,255,255)';
+  ctx.strokeRect(cb.left + 0.5, cb.top + 0.5, cb.right - cb.left - 1, cb.bottom - cb.top - 1);
+
+  ctx.strokeStyle = 'rgb(255,0,255)';
+  g.obs.forEach(o => {
+    const ob = getObstacleHitbox(o, g.gndY, mask ? 0 : undefined);
+    const top = Math.max(ob.top, 0);
+    drawMask(ctx, getObstacleMask(o.def), Math.round(o.x), g.gndY - o.lift - o.h, DEBUG_OBSTACLE);
+    ctx.strokeRect(ob.left + 0.5, top + 0.5, ob.right - ob.left - 1, ob.bottom - top - 1);
+  });
+}
+
+// ─── Touch ────────────────────────────────────────────────────────────────
+const SWIPE_PX      = 30;
+const TOUCH_HOLD_MS = 80; // a touch held this long without swiping is a jump
+
+// ─── Pause ────────────────────────────────────────────────────────────────
+const RESUME_COUNTDOWN_MS = 3000;
+
+// ─── Reduced motion ───────────────────────────────────────────────────────
+const REDUCED_PARALLAX = 0.25; // skyline scroll speed multiplier
+
+// ─── Physics ──────────────────────────────────────────────────────────────
+// A shared link wins over the saved settings
+function initialPhysics() {
+  const shared = presetFromUrl(location);
+  if (!shared) return loadPhysics();
+  clearPresetUrl();
+  return shared.physics;
+}
+
+// ─── Pickups ──────────────────────────────────────────────────────────────
+const SMASHED_ALPHA = 0.35; // an obstacle a shield let through
+const SHIELD_COLOR  = 'rgba(79,195,255,0.7)';
+const SHIELD_BLINK  = 120;  // ticks left when the shield starts to blink
+
+// Running power-up timers for ScoreHud, in whole seconds
+function powerTimers(g) {
+  return POWERS
+    .filter(p => g.power[p.power] > 0)
+    .map(p => ({ id: p.id, label: p.label, color: p.color, secs: Math.ceil(g.power[p.power] * STEP_MS / 1000) }));
+}
+
+// ─── Achievements ─────────────────────────────────────────────────────────
+const TOAST_MS = 3500; // how long an achievement's toast stays up
+
+// ─── Music ────────────────────────────────────────────────────────────────
+// Track per phase; a pause keeps the run's (suspended)
+const PHASE_SONGS = { intro: 'intro', playing: 'run', replay: 'run', gameover: 'gameover' };
 
 // ─────────────────────────────────────────────────────────────────────────
 //  Main Game component
 // ─────────────────────────────────────────────────────────────────────────
 export default function Game() {
   const canvasRef       = useRef(null);
+  const stageRef        = useRef(null);
   const gRef            = useRef(null);
   const rafRef          = useRef(null);
-  const spriteCanvasRef = useRef(null);
+  const spritesRef      = useRef({}); // atlas id → { canvas, masks }
 
   const scoreElRef = useRef(null);
   const hiElRef    = useRef(null);
@@ -280,88 +152,408 @@ export default function Game() {
   const setPhaseRef = useRef(setPhase);
   useEffect(() => { setPhaseRef.current = setPhase; });
 
-  const [music, setMusic]               = useState(false);
+  // Seconds left on the resume countdown (0 while not counting down)
+  const [countdown, setCountdown] = useState(0);
+
   const [settingsOpen, setSettingsOpen] = useState(false);
-  const audioCtxRef   = useRef(null);
-  const musicTimerRef = useRef(null);
 
-  const [physics, setPhysics] = useState(PHYSICS_DEFAULTS);
+  // Music / SFX volumes and mute. The engine is created on the first
+  // gesture, since browsers keep audio locked until then.
+  const [sound, setSound]           = useState(loadAudioSettings);
+  const [audioReady, setAudioReady] = useState(false);
+  const soundRef = useRef(sound);
+  const audioRef = useRef(null);
+  const musicRef = useRef(null);
+  useEffect(() => {
+    soundRef.current = sound;
+    saveAudioSettings(sound);
+    if (audioRef.current) setVolumes(audioRef.current, sound);
+  }, [sound]);
+  const unlockAudio = () => {
+    if (audioRef.current) return;
+    const a = createAudio();
+    setVolumes(a, soundRef.current);
+    holdAudio(a, document.hidden || gRef.current?.phase === 'paused');
+    audioRef.current = a;
+    setAudioReady(true);
+  };
+  const updateSound = s => {
+    unlockAudio();
+    setSound(s);
+  };
+  const musicOn = audioReady && !sound.muted && sound.music > 0;
+
+  // Keys and gamepad buttons for each action, remapped in Settings
+  const [bindings, setBindings] = useState(loadBindings);
+  const bindingsRef  = useRef(bindings);
+  const capturingRef = useRef(false); // Settings is waiting for a new binding
+  useEffect(() => {
+    bindingsRef.current = bindings;
+    saveBindings(bindings);
+  }, [bindings]);
+
+  // Accessibility options; motion follows the system setting unless forced
+  const [access, setAccess] = useState(loadAccess);
+  const [prefersReduced, setPrefersReduced] = useState(() => matchMedia(REDUCED_MOTION_QUERY).matches);
+  const accessRef = useRef(access);
+  useEffect(() => {
+    accessRef.current = access;
+    saveAccess(access);
+  }, [access]);
+  useEffect(() => {
+    const query    = matchMedia(REDUCED_MOTION_QUERY);
+    const onChange = () => setPrefersReduced(query.matches);
+    query.addEventListener('change', onChange);
+    return () => query.removeEventListener('change', onChange);
+  }, []);
+  const motionReduced    = reducedMotion(access, prefersReduced);
+  const motionReducedRef = useRef(motionReduced);
+  useEffect(() => { motionReducedRef.current = motionReduced; }, [motionReduced]);
+
+  // Screen-reader announcements: scores (ScoreHud) and the last run's score
+  // for the game-over message (Overlay)
+  const [scoreNews, setScoreNews]   = useState('');
+  const [finalScore, setFinalScore] = useState(0);
+  const [powers, setPowers]         = useState([]);
+
+  const [ghost, setGhost] = useState(true);
+  const ghostRef     = useRef(ghost);
+  useEffect(() => { ghostRef.current = ghost; }, [ghost]);
+  const ghostDataRef = useRef(null);
+
+  const [debugMasks, setDebugMasks] = useState(false);
+  const debugMasksRef = useRef(debugMasks);
+  useEffect(() => { debugMasksRef.current = debugMasks; }, [debugMasks]);
+
+  // Chosen runner; the select screen holds the best score it unlocks with
+  const [character, setCharacter]   = useState(() => loadCharacter(parseInt(localStorage.getItem('da_hi') || '0', 10)));
+  const [charSelect, setCharSelect] = useState(null);
+  const [unlocked, setUnlocked]     = useState([]);
+  const characterRef  = useRef(character);
+  const charSelectRef = useRef(charSelect);
+  useEffect(() => { charSelectRef.current = charSelect; }, [charSelect]);
+
+  // Player-made obstacles join the endless spawn pool from the next run.
+  // Saved ones that no longer load are reported in the editor until the
+  // list is saved again.
+  const [stored]                        = useState(loadCustomObstacles);
+  const [customs, setCustoms]           = useState(stored.list);
+  const [customIssues, setCustomIssues] = useState(stored.issues);
+  const [editorOpen, setEditorOpen]     = useState(false);
+  const customsRef    = useRef(customs);
+  const editorOpenRef = useRef(editorOpen);
+  useEffect(() => { customsRef.current = customs; }, [customs]);
+  useEffect(() => { editorOpenRef.current = editorOpen; }, [editorOpen]);
+  const updateCustoms = list => {
+    saveCustomObstacles(list);
+    setCustoms(list);
+    setCustomIssues([]);
+  };
+
+  // 'auto' picks the weather from the run seed; weatherFx lets it affect play
+  const [weather, setWeather]     = useState('auto');
+  const [weatherFx, setWeatherFx] = useState(false);
+  const weatherRef   = useRef(weather);
+  const weatherFxRef = useRef(weatherFx);
+
+  const [physics, setPhysics] = useState(initialPhysics);
   const physicsRef = useRef(physics);
-  useEffect(() => { physicsRef.current = physics; }, [physics]);
+  useEffect(() => {
+    physicsRef.current = physics;
+    savePhysics(physics);
+  }, [physics]);
+
+  // Player-saved physics presets; names are unique, saving over replaces
+  const [presets, setPresets] = useState(loadPresets);
+  const updatePresets = list => {
+    savePresets(list);
+    setPresets(list);
+  };
+  const savePreset = name => {
+    if (!isBuiltinPreset(name)) updatePresets([...presets.filter(p => p.name !== name), { name, physics }]);
+  };
+  const deletePreset = name => updatePresets(presets.filter(p => p.name !== name));
+
+  // Top-10 table and lifetime totals. A run that makes the table waits on
+  // the game-over screen for its initials (pendingEntry); play is held
+  // until they're entered or skipped.
+  const [scores, setScores]             = useState(loadScores);
+  const [stats, setStats]               = useState(loadStats);
+  const [pendingEntry, setPendingEntry] = useState(null);
+  const [statsOpen, setStatsOpen]       = useState(false);
+  const pendingEntryRef = useRef(pendingEntry);
+  const statsOpenRef    = useRef(statsOpen);
+  useEffect(() => { pendingEntryRef.current = pendingEntry; }, [pendingEntry]);
+  useEffect(() => { statsOpenRef.current = statsOpen; }, [statsOpen]);
+
+  // Online board: untuned runs are sent under the player's initials, so a
+  // run waiting for them is sent once they're in. online is the last run's
+  // null, { sending }, { rank, top } or { error }.
+  const [board]             = useState(boardAdapter);
+  const [online, setOnline] = useState(null);
+  const unsentRef  = useRef(null); // the last run, still without a name
+  const sendingRef = useRef(null); // the run `online` is about
+  const sendRun = name => {
+    const unsent = unsentRef.current;
+    unsentRef.current = null;
+    if (!unsent || !name) return;
+    const run = { ...unsent, name };
+    sendingRef.current = run;
+    setOnline({ sending: true });
+    submitRun(board, run).then(
+      result => sendingRef.current === run && setOnline(result),
+      err    => sendingRef.current === run && setOnline({ error: err.message }),
+    );
+  };
+
+  const submitEntry = initials => {
+    saveInitials(initials);
+    setScores(addScore({ ...pendingEntry, initials }));
+    setPendingEntry(null);
+    sendRun(initials);
+  };
+  const skipEntry = () => {
+    setPendingEntry(null);
+    sendRun(loadInitials());
+  };
+
+  // Achievement progress, the toasts for ones just earned and the list
+  const [tracker]                               = useState(createTracker);
+  const [toasts, setToasts]                     = useState([]);
+  const [achievementsOpen, setAchievementsOpen] = useState(false);
+  const achievementsOpenRef = useRef(achievementsOpen);
+  const toastKeyRef         = useRef(0);
+  useEffect(() => { achievementsOpenRef.current = achievementsOpen; }, [achievementsOpen]);
+  const showToasts = defs => {
+    const added = defs.map(def => ({ key: toastKeyRef.current++, def }));
+    setToasts(list => [...list, ...added]);
+    setTimeout(() => setToasts(list => list.filter(t => !added.includes(t))), TOAST_MS);
+  };
+
+  // The portfolio entry of the billboard being read; the run waits paused
+  const [reading, setReading] = useState(null);
+  const readingRef = useRef(reading);
+  useEffect(() => { readingRef.current = reading; }, [reading]);
+
+  // 'endless' or 'daily' — daily runs use the date seed and default physics
+  const [mode, setMode] = useState('endless');
+  const modeRef = useRef(mode);
+  const [daily, setDaily] = useState(loadDaily);
+
+  // Last finished run, and actions exposed by the game effect
+  const [lastReplay, setLastReplay] = useState(null);
+  const [replayError, setReplayError] = useState(null);
+  // Why the last run's score wasn't kept ('TUNED PHYSICS', 'ASSISTED RUN'),
+  // or null if it was
+  const [tunedRun, setTunedRun] = useState(null);
+  const controlsRef = useRef(null);
 
   useEffect(() => {
-    if (!music) {
-      clearTimeout(musicTimerRef.current);
-      audioCtxRef.current?.close();
-      audioCtxRef.current = null;
-      return;
-    }
-    const ctx = new AudioContext();
-    audioCtxRef.current = ctx;
-    scheduleMusic(ctx, musicTimerRef);
-    return () => { clearTimeout(musicTimerRef.current); ctx.close(); };
-  }, [music]);
+    if (!musicOn) return;
+    const m = startMusic(audioRef.current);
+    musicRef.current = m;
+    return () => {
+      stopMusic(m);
+      musicRef.current = null;
+    };
+  }, [musicOn]);
+
+  useEffect(() => {
+    const m = musicRef.current;
+    if (m && PHASE_SONGS[phase]) playSong(m, SONGS[PHASE_SONGS[phase]]);
+  }, [phase, musicOn]);
 
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
 
-    // ── Load & process sprite ────────────────────────────────────────────
-    const img   = new Image();
-    img.onload  = () => { spriteCanvasRef.current = processSprite(img); };
-    img.src     = '/runner-sprite.png';
+    // ── Load & process sprites ───────────────────────────────────────────
+    Object.values(ATLASES).forEach(atlas => {
+      const img   = new Image();
+      img.onload  = () => {
+        const canvas = processSprite(img, atlas);
+        const masks  = buildRunnerMasks(canvas, atlas);
+        spritesRef.current[atlas.id] = { canvas, masks };
+        const g = gRef.current;
+        if (g?.phase === 'intro' && g.atlas === atlas) g.masks = masks;
+      };
+      img.src     = atlas.image;
+    });
 
     // ── Helpers ──────────────────────────────────────────────────────────
+    // Only the scale changes on resize; the playfield stays VIEW_W × VIEW_H
+    let viewScale = 1;
+    let dprQuery  = null;
     const resize = () => {
-      canvas.width  = window.innerWidth;
-      canvas.height = window.innerHeight;
+      const dpr  = window.devicePixelRatio || 1;
+      const view = fitView(window.innerWidth, window.innerHeight, dpr);
+      viewScale     = view.scale;
+      canvas.width  = Math.round(VIEW_W * view.scale);
+      canvas.height = Math.round(VIEW_H * view.scale);
+      const stage = stageRef.current;
+      stage.style.left      = `${view.left}px`;
+      stage.style.top       = `${view.top}px`;
+      stage.style.transform = `scale(${view.css})`;
+      clearObstacleBitmaps();
       const g = gRef.current;
-      if (g) {
-        g.w    = canvas.width;
-        g.h    = canvas.height;
-        g.gndY = Math.floor(canvas.height * GROUND_RATIO);
-        g.stars = genStars(g.w, g.gndY);
-      }
+      if (g) clearLayerCache(g.far, g.near);
+
+      // Zooming or moving to another screen can change devicePixelRatio
+      // without a resize event
+      dprQuery?.removeEventListener('change', resize);
+      dprQuery = window.matchMedia(`(resolution: ${dpr}dppx)`);
+      dprQuery.addEventListener('change', resize);
+    };
+
+    // Daily runs share one course: default physics (plus the runner's stats),
+    // the seed's weather with its effects, and no custom obstacles
+    const modeDefaults = () => {
+      const daily = modeRef.current === 'daily';
+      return {
+        seed:      daily ? dailySeed() : randomSeed(),
+        custom:    daily ? [] : customsRef.current,
+        weather:   daily || weatherRef.current === 'auto' ? null : weatherRef.current,
+        weatherFx: daily || weatherFxRef.current,
+      };
     };
 
-    const makeState = () => {
-      const w    = canvas.width;
-      const h    = canvas.height;
-      const gndY = Math.floor(h * GROUND_RATIO);
+    // Physics for a run: the Settings (or defaults) tuned by runner, weather
+    // and the slow-speed assist
+    const runPhysics = g => assistPhysics(accessRef.current, weatherPhysics(
+      g.weather, g.weatherFx,
+      characterPhysics(g.character, g.mode === 'daily' ? PHYSICS_DEFAULTS : physicsRef.current),
+    ));
+
+    // physics: a recording's physics, used as is (else from runPhysics)
+    // weather: a weather id (else picked from the seed)
+    // pixel: false turns off mask collision (a replay recorded without it)
+    const makeState = (opts = {}) => {
+      const {
+        seed, physics, custom, character = characterRef.current, pixel = true,
+        weather: weatherId, weatherFx, w = VIEW_W, h = VIEW_H,
+      } = { ...modeDefaults(), ...opts };
+      const gndY    = Math.floor(h * GROUND_RATIO);
+      const skyline = makeRng(subSeed(seed, SEED_SKYLINE));
+      const atlas   = characterAtlas(character);
+      const masks   = pixel ? spritesRef.current[atlas.id]?.masks ?? null : null;
+      const weather = weatherId ? weatherById(weatherId) : pickWeather(seed);
+      const mode    = modeRef.current;
       return {
-        w, h, gndY,
-        phase:   'intro',
-        score:   0,
+        ...createState({
+          w, h, gndY, seed, masks, atlas, weather, weatherFx,
+          physics: physics ?? runPhysics({ mode, character, weather, weatherFx }),
+          level:   levelWithObstacles(custom),
+        }),
+        mode,
+        custom,
+        character,
         hiScore: parseInt(localStorage.getItem('da_hi') || '0', 10),
-        speed:   physicsRef.current.initSpeed,
-        t:       0,
-
-        char: {
-          x:         110,
-          y:         gndY - CHAR_H + CHAR_FOOT_OFF,
-          vy:        0,
-          grounded:  true,
-          frame:     0,
-          frameTick: 0,
-          bounce:    0,
-        },
-
-        obs:     [],
-        nextGap: 1400,
-
-        gndOff:  0,
-        farOff:  0,
-        nearOff: 0,
-
-        stars: genStars(w, gndY),
-        far:   genBuildings(50, 30, 65, 45, 120),
-        near:  genBuildings(35, 55, 110, 80, 210),
+
+        stars:     genStars(makeRng(subSeed(seed, SEED_STARS)), w, gndY),
+        particles: genParticles(seed, weather, w, gndY),
+        far:   genBuildings(skyline, 50, 30, 65, 45, 120),
+        near:  genBuildings(skyline, 35, 55, 110, 80, 210),
+
+        rec:        null,
+        recPhysics: null,
+        replay:     null,
+        ghost:      null,
+        assisted:   false,
+        armed:      null,  // auto-timing state while a press waits (access.js)
+
+        billboards:    [], // portfolio billboards up on the skyline
+        nextBillboard: 0,  // index of the next one due
 
         lastDisplayScore: -1,
       };
     };
 
+    // Non-default Settings physics or an assist at any point make the run
+    // tuned (g.assisted tells the two apart)
+    const tunedNow = g => isAssisted(accessRef.current) ||
+      (g.mode !== 'daily' && !isDefaultPhysics(physicsRef.current));
+
+    const startRecording = g => {
+      g.rec        = createRecorder({
+        seed: g.seed, physics: runPhysics(g), w: g.w, h: g.h, pixel: !!g.masks, custom: g.custom,
+        character: g.character.id, weather: g.weather.id, weatherFx: g.weatherFx, tuned: tunedNow(g),
+      });
+      g.recPhysics = runPhysics(g);
+      g.assisted   = isAssisted(accessRef.current);
+    };
+
+    // Replaces the current state with a fresh one already in 'playing'
+    const restart = (opts, replay) => {
+      const hi = gRef.current.hiScore;
+      const g  = makeState(opts);
+      g.hiScore = hi;
+      g.phase   = 'playing';
+      if (replay) g.replay = createPlayer(replay);
+      else startRecording(g);
+      attachGhost(g);
+      gRef.current = g;
+      if (scoreElRef.current) scoreElRef.current.textContent = '00000';
+      if (hiElRef.current)    hiElRef.current.textContent    = `HI ${String(hi).padStart(5, '0')}`;
+      setPhaseRef.current(replay ? 'replay' : 'playing');
+    };
+
+    const watchReplay = replay => {
+      // Recorded physics already include the runner's and weather's tweaks
+      restart({
+        seed: replay.seed, w: replay.w, h: replay.h, custom: replay.custom, physics: replay.physics,
+        character: characterById(replay.character), pixel: replay.pixel,
+        weather: replay.weather ?? 'clear', weatherFx: replay.weatherFx ?? false,
+      }, replay);
+    };
+
+    // The intro state already shows the next run; rebuild it after a change
+    const refreshIntro = () => {
+      const g = gRef.current;
+      if (g.phase !== 'intro') return;
+      gRef.current = makeState();
+      gRef.current.hiScore = g.hiScore;
+    };
+
+    controlsRef.current = {
+      setMode: m => {
+        modeRef.current = m;
+        setMode(m);
+        refreshIntro();
+      },
+      setCharacter: c => {
+        characterRef.current = c;
+        saveCharacter(c);
+        setCharacter(c);
+        refreshIntro();
+      },
+      setWeather: (id, fx) => {
+        weatherRef.current   = id;
+        weatherFxRef.current = fx;
+        setWeather(id);
+        setWeatherFx(fx);
+        refreshIntro();
+      },
+      hiScore: () => gRef.current.hiScore,
+      watch: watchReplay,
+      import: text => {
+        try {
+          watchReplay(parseReplay(text));
+          setReplayError(null);
+        } catch (err) {
+          setReplayError(err.message);
+        }
+      },
+    };
+
+    // Ghost of the personal best races endless runs only
+    const attachGhost = g => {
+      if (g.mode === 'endless' && !g.replay && ghostDataRef.current) {
+        g.ghost = createGhost(ghostDataRef.current, spritesRef.current);
+      }
+    };
+
     resize();
+    ghostDataRef.current = loadGhost();
     gRef.current = makeState();
 
     if (hiElRef.current) {
@@ -369,125 +561,398 @@ export default function Game() {
     }
 
     // ── Input ────────────────────────────────────────────────────────────
+    const menuOpen = () => editorOpenRef.current || charSelectRef.current !== null ||
+      statsOpenRef.current || achievementsOpenRef.current || pendingEntryRef.current !== null ||
+      readingRef.current !== null;
+
     const doAction = () => {
       const g = gRef.current;
-      if (!g) return;
+      if (!g || menuOpen() || g.phase === 'paused') return;
 
       if (g.phase === 'intro') {
         g.phase = 'playing';
+        startRecording(g);
+        attachGhost(g);
         setPhaseRef.current('playing');
 
+      } else if (g.phase === 'playing' && g.replay) {
+        // Any input while watching a replay jumps straight into a new run
+        restart();
+
+      } else if (g.phase === 'playing' && accessRef.current.autoTiming) {
+        // The aid makes the move (see stepAutoTiming); a press while one is
+        // under way is kept for the obstacle after
+        if (g.armed) g.armed.queued = true;
+        else g.armed = {};
+
       } else if (g.phase === 'playing') {
-        if (g.char.grounded) {
-          g.char.vy       = physicsRef.current.jumpForce;
-          g.char.grounded = false;
-        }
+        recordInput(g.rec, g.tick, 'jump');
+        jump(g, runPhysics(g));
 
       } else if (g.phase === 'gameover') {
-        const hi         = g.hiScore;
-        gRef.current     = makeState();
-        gRef.current.hiScore = hi;
-        gRef.current.phase   = 'playing';
-        if (scoreElRef.current) scoreElRef.current.textContent = '00000';
-        if (hiElRef.current)    hiElRef.current.textContent    = `HI ${String(hi).padStart(5, '0')}`;
-        setPhaseRef.current('playing');
+        restart();
+      }
+    };
+
+    const liveRun = () => {
+      const g = gRef.current;
+      return g && g.phase === 'playing' && !g.replay ? g : null;
+    };
+
+    const doSlide = on => {
+      const g = liveRun();
+      if (!g || g.char.slideHold === on) return;
+      recordInput(g.rec, g.tick, 'slide', { on });
+      slide(g, on);
+    };
+
+    // Auto-timed jumps release themselves, so releases are ignored
+    const doRelease = () => {
+      const g = liveRun();
+      if (!g || !g.char.jumpHeld || accessRef.current.autoTiming) return;
+      recordInput(g.rec, g.tick, 'jumpRelease');
+      releaseJump(g, runPhysics(g));
+    };
+
+    // One-switch aid: called before each tick while a press is armed
+    const stepAutoTiming = (g, physics) => {
+      const input = autoTimingInput(g, g.armed, physics);
+      if (input === 'jump') {
+        recordInput(g.rec, g.tick, 'jump');
+        jump(g, physics);
+      } else if (input === 'jumpRelease') {
+        recordInput(g.rec, g.tick, 'jumpRelease');
+        releaseJump(g, physics);
+      } else if (input) {
+        doSlide(input === 'slideOn');
       }
+      if (g.armed.done) g.armed = g.armed.queued ? {} : null;
+    };
+
+    const doSlideTap = () => {
+      const g = liveRun();
+      if (!g) return;
+      recordInput(g.rec, g.tick, 'slideTap');
+      slideTap(g);
+    };
+
+    // Bound actions, from keys and gamepads alike (see input.js)
+    const pressAction = action => {
+      if (action === 'jump') doAction();
+      else if (action === 'slide') doSlide(true);
+      else if (action === 'pause') togglePause();
+      else if (action === 'read') readBillboard();
+    };
+
+    const releaseAction = action => {
+      if (action === 'jump') doRelease();
+      else if (action === 'slide') doSlide(false);
     };
 
+    // Keys typed into a field (a preset name, initials) are the field's
+    const isTyping = e => e.target instanceof Element &&
+      (e.target.matches('input, textarea, select') || e.target.isContentEditable);
+
     const onKey = e => {
-      if (['Space', 'ArrowUp', 'KeyW'].includes(e.code)) {
-        e.preventDefault();
+      unlockAudio();
+      if (menuOpen() || capturingRef.current || isTyping(e)) return;
+      const action = actionForKey(bindingsRef.current, e.code);
+      if (!action) return;
+      // Pause keeps Escape's default so it still leaves fullscreen
+      if (action !== 'pause') e.preventDefault();
+      if (!e.repeat) pressAction(action);
+    };
+
+    const onKeyUp = e => {
+      const action = actionForKey(bindingsRef.current, e.code);
+      if (action) releaseAction(action);
+    };
+
+    // Held state of each action on the gamepads, polled from the loop
+    const padHeld = {};
+
+    const pollPads = () => {
+      const changes = pollGamepads(padHeld, bindingsRef.current);
+      if (menuOpen() || capturingRef.current) return;
+      changes.forEach(({ action, down }) => {
+        if (!down) {
+          releaseAction(action);
+          return;
+        }
+        unlockAudio();
+        pressAction(action);
+      });
+    };
+
+    const onMouseDown = e => {
+      unlockAudio();
+      if (e.button === 0) doAction();
+    };
+
+    // During a run a touch waits briefly before jumping so a swipe down can
+    // become a slide instead; lifting the finger releases the jump. Outside
+    // a run a touch acts at once.
+    let touch = null;
+
+    const touchJump = () => {
+      if (!touch || touch.jumped) return;
+      clearTimeout(touch.timer);
+      touch.jumped = true;
+      doAction();
+    };
+
+    const onTouchStart = e => {
+      e.preventDefault();
+      unlockAudio();
+      if (!liveRun()) {
         doAction();
+        return;
+      }
+      touch = { y: e.touches[0].clientY, jumped: false, slid: false };
+      touch.timer = setTimeout(touchJump, TOUCH_HOLD_MS);
+    };
+
+    const onTouchMove = e => {
+      if (!touch) return;
+      const dy = e.touches[0].clientY - touch.y;
+      if (dy > SWIPE_PX && !touch.slid) {
+        clearTimeout(touch.timer);
+        touch.jumped = true;
+        touch.slid   = true;
+        doSlideTap();
+      } else if (dy < -SWIPE_PX) {
+        touchJump();
+      }
+    };
+
+    const onTouchEnd = () => {
+      if (!touch) return;
+      if (!touch.slid) touchJump();
+      doRelease();
+      touch = null;
+    };
+
+    // ── Pause ────────────────────────────────────────────────────────────
+    // 'paused' freezes the sim (a watched replay too). Resuming runs a
+    // countdown first; g.resumeAt is when it ends, null while fully paused.
+    // Audio is held (music and effects alike) while paused or hidden
+    const syncAudio = () => {
+      const a = audioRef.current;
+      if (a) holdAudio(a, document.hidden || gRef.current.phase === 'paused');
+    };
+
+    const pause = () => {
+      const g = gRef.current;
+      if (g.phase === 'paused' && g.resumeAt !== null) {
+        // Stopped again during the countdown
+        g.resumeAt = null;
+        setCountdown(0);
+        return;
+      }
+      if (g.phase !== 'playing') return;
+      // Nothing stays held through the pause
+      if (touch) clearTimeout(touch.timer);
+      touch = null;
+      doSlide(false);
+      doRelease();
+      g.armed    = null;
+      g.phase    = 'paused';
+      g.resumeAt = null;
+      syncAudio();
+      setPhaseRef.current('paused');
+    };
+
+    const resume = () => {
+      const g = gRef.current;
+      if (g.phase !== 'paused' || g.resumeAt !== null) return;
+      g.resumeAt = performance.now() + RESUME_COUNTDOWN_MS;
+      setCountdown(Math.ceil(RESUME_COUNTDOWN_MS / 1000));
+    };
+
+    const togglePause = () => {
+      const g = gRef.current;
+      if (g.phase === 'paused' && g.resumeAt === null) resume();
+      else pause();
+    };
+
+    // Called from the loop while counting down
+    const tickCountdown = (g, ts) => {
+      const left = g.resumeAt - ts;
+      if (left > 0) {
+        setCountdown(Math.ceil(left / 1000));
+        return;
       }
+      g.phase    = 'playing';
+      g.resumeAt = null;
+      setCountdown(0);
+      syncAudio();
+      setPhaseRef.current(g.replay ? 'replay' : 'playing');
+    };
+
+    const onVisibility = () => {
+      if (document.hidden) pause();
+      syncAudio();
+    };
+
+    controlsRef.current.pause  = pause;
+    controlsRef.current.resume = resume;
+
+    // ── Billboards ───────────────────────────────────────────────────────
+    // Placed on the near layer's scroll at the last tick (see portfolio.js);
+    // reading one pauses the run until its panel is closed
+    const boardOffset = g => g.nearOff * (motionReducedRef.current ? REDUCED_PARALLAX : 1);
+    const runnerAt    = g => runnerBox(g, runnerPose(g.atlas, g.char), null);
+
+    const openBillboard = b => {
+      b.read = true;
+      pause();
+      setReading(b.entry);
+    };
+
+    const readBillboard = () => {
+      const g = liveRun();
+      const b = g && nearbyBillboard(g, runnerAt(g), boardOffset(g));
+      if (b) openBillboard(b);
+    };
+
+    // The read key while the runner is beside a board
+    const readHint = () => {
+      const code = bindingsRef.current.keys.read[0];
+      return code ? `${keyLabel(code)} TO READ` : null;
     };
 
     window.addEventListener('keydown', onKey);
-    canvas.addEventListener('click', doAction);
-    canvas.addEventListener('touchstart', e => { e.preventDefault(); doAction(); }, { passive: false });
+    window.addEventListener('keyup', onKeyUp);
+    canvas.addEventListener('mousedown', onMouseDown);
+    window.addEventListener('mouseup', doRelease);
+    canvas.addEventListener('touchstart', onTouchStart, { passive: false });
+    canvas.addEventListener('touchmove', onTouchMove);
+    canvas.addEventListener('touchend', onTouchEnd);
     window.addEventListener('resize', resize);
+    window.addEventListener('blur', pause);
+    document.addEventListener('visibilitychange', onVisibility);
 
     // ── Game loop ────────────────────────────────────────────────────────
+    // Simulation advances in fixed STEP_MS ticks; rendering interpolates
+    // between the last two ticks so motion stays smooth at any refresh rate.
     let lastTs = 0;
+    let acc    = 0;
+    const frames = createFrameMonitor();
+
+    const onGameOver = g => {
+      setFinalScore(Math.floor(g.score));
+      sendingRef.current = null;
+      setOnline(null);
+      if (g.replay) {
+        setPhaseRef.current('gameover');
+        return;
+      }
+      g.rec.score = Math.floor(g.score);
+      setLastReplay(g.rec);
+      setTunedRun(g.rec.tuned ? (g.assisted ? 'ASSISTED RUN' : 'TUNED PHYSICS') : null);
+
+      // Every run counts towards the totals; assisted ones stay off the table
+      const base    = g.mode === 'daily' ? PHYSICS_DEFAULTS : physicsRef.current;
+      const run     = runSummary(g, presetName(base, loadPresets()));
+      setStats(recordRun(run, g.deathBy.name));
+      unsentRef.current = g.rec.tuned ? null : onlineRun(g);
+      if (!g.assisted && qualifies(loadScores(), run.score)) setPendingEntry(run);
+      else sendRun(loadInitials());
+
+      // Tuned runs don't count towards the best, its ghost or unlocks
+      if (g.rec.tuned) {
+        setUnlocked([]);
+        setPhaseRef.current('gameover');
+        return;
+      }
+
+      if (g.mode === 'daily') {
+        setDaily(saveDailyResult(Math.floor(g.score)));
+        setUnlocked([]);
+        setPhaseRef.current('gameover');
+        return;
+      }
+
+      const newHi = Math.max(g.hiScore, Math.floor(g.score));
+      if (newHi > g.hiScore) {
+        saveGhost(g.rec);
+        ghostDataRef.current = g.rec;
+        setScoreNews(`New best score: ${newHi}`);
+      }
+      setUnlocked(CHARACTERS.filter(c => c.unlockScore > g.hiScore && c.unlockScore <= newHi));
+      g.hiScore = newHi;
+      localStorage.setItem('da_hi', newHi);
+      if (hiElRef.current) {
+        hiElRef.current.textContent = `HI ${String(newHi).padStart(5, '0')}`;
+      }
+      setPhaseRef.current('gameover');
+    };
 
     const loop = ts => {
-      const dt  = Math.min(ts - lastTs, 50);
+      const dt  = Math.min(ts - lastTs, 100);
       lastTs    = ts;
       const g   = gRef.current;
       const ctx = canvas.getContext('2d');
 
       // ── UPDATE ─────────────────────────────────────────────────────────
-      const playing = g.phase === 'playing';
-
-      // Advance run animation (legs speed up with game speed, max 16 fps)
-      const animFps = playing
-        ? Math.min(16, ANIM_FPS * (g.speed / physicsRef.current.initSpeed))
-        : ANIM_FPS;
-      g.char.frameTick += dt;
-      if (g.char.frameTick > 1000 / animFps) {
-        if (g.phase !== 'gameover') {
-          g.char.frame = (g.char.frame + 1) % RUN_FRAMES.length;
+      pollPads();
+
+      if (g.rec && g.phase === 'playing') {
+        if (g.recPhysics !== runPhysics(g)) {
+          g.recPhysics = runPhysics(g);
+          recordInput(g.rec, g.tick, 'physics', { physics: g.recPhysics });
         }
-        g.char.frameTick -= 1000 / animFps;
+        g.rec.tuned ||= tunedNow(g);
+        g.assisted  ||= isAssisted(accessRef.current);
       }
 
-      if (playing) {
-        g.t     += dt;
-        g.score += g.speed * dt * SCORE_RATE * 0.1;
-        g.speed  = Math.min(physicsRef.current.maxSpeed, physicsRef.current.initSpeed + g.score * physicsRef.current.speedRate);
-
-        g.gndOff  = (g.gndOff  + g.speed) % 55;
-        g.farOff  += g.speed * 0.12;
-        g.nearOff += g.speed * 0.38;
-
-        // Physics
-        const ch = g.char;
-        ch.vy += physicsRef.current.gravity;
-        ch.y  += ch.vy;
-        const floor = g.gndY - CHAR_H + CHAR_FOOT_OFF;
-        if (ch.y >= floor) {
-          ch.y        = floor;
-          ch.vy       = 0;
-          ch.grounded = true;
-        }
-        ch.bounce = ch.grounded ? Math.sin(g.t * 0.012) * 2.5 : 0;
-
-        // Spawn obstacles
-        g.nextGap -= dt;
-        if (g.nextGap <= 0) {
-          const type = Math.floor(Math.random() * OBSTACLE_DEFS.length);
-          const sz   = getObstacleSize(type);
-          g.obs.push({ x: g.w + 60, type, ...sz });
-          const px  = physicsRef.current.minGap + Math.random() * (physicsRef.current.maxGap - physicsRef.current.minGap);
-          g.nextGap = (px / g.speed) * (1000 / 60);
+      if (g.phase === 'paused') {
+        // The sim holds still; acc keeps its remainder so the frame on
+        // screen doesn't shift
+        if (g.resumeAt !== null) tickCountdown(g, ts);
+      } else {
+        acc += dt;
+        while (acc >= STEP_MS) {
+          const wasPlaying = g.phase === 'playing';
+          if (g.replay) applyReplayInputs(g, g.replay);
+          if (g.ghost && wasPlaying) stepGhost(g.ghost);
+          if (g.armed && wasPlaying) stepAutoTiming(g, runPhysics(g));
+          step(g, g.replay ? g.replay.physics : runPhysics(g));
+          acc -= STEP_MS;
+          if (wasPlaying && g.phase === 'gameover') onGameOver(g);
         }
+      }
+      const alpha = acc / STEP_MS;
 
-        g.obs.forEach(o => { o.x -= g.speed; });
-        g.obs = g.obs.filter(o => o.x + o.w > -60);
-
-        // Collision
-        const cLeft   = ch.x + 12;
-        const cRight  = ch.x + CHAR_W - 12;
-        const cTop    = ch.y + 8;
-        const cBottom = ch.y + CHAR_H - 4;
-
-        for (const o of g.obs) {
-          const oTop = g.gndY - o.h;
-          if (
-            cRight  > o.x + 4 &&
-            cLeft   < o.x + o.w - 4 &&
-            cBottom > oTop + 4 &&
-            cTop    < g.gndY
-          ) {
-            g.phase   = 'gameover';
-            const newHi = Math.max(g.hiScore, Math.floor(g.score));
-            g.hiScore = newHi;
-            localStorage.setItem('da_hi', newHi);
-            if (hiElRef.current) {
-              hiElRef.current.textContent = `HI ${String(newHi).padStart(5, '0')}`;
-            }
-            setPhaseRef.current('gameover');
-            break;
-          }
+      // Achievements for what the sim did this frame, in played runs
+      if (g.rec && !g.rec.tuned && (g.phase === 'playing' || g.events.length)) {
+        const earned = trackAchievements(tracker, g);
+        if (earned.length) showToasts(earned);
+      }
+
+      // Sound effects for what the sim did this frame
+      // (and milestones for screen readers)
+      if (g.events.length) {
+        if (audioRef.current) g.events.forEach(e => playSfx(audioRef.current, e));
+        if (g.events.includes('milestone')) setScoreNews(`Score ${Math.floor(g.score / 100) * 100}`);
+        g.events.length = 0;
+      }
+
+      // Billboards go up as the run passes their distance; jumping into one
+      // opens it
+      const boardOff = boardOffset(g);
+      const cb       = g.phase === 'playing' && !g.replay ? runnerAt(g) : null;
+      stepBillboards(g, boardOff);
+      const beside = cb && nearbyBillboard(g, cb, boardOff);
+      const hit    = cb && touchedBillboard(g, cb, boardOff);
+      if (hit) openBillboard(hit);
+
+      if (g.phase === 'playing') {
+        // The run track speeds up with the run
+        if (musicRef.current) {
+          const p     = g.replay ? g.replay.physics : runPhysics(g);
+          const range = p.maxSpeed - p.initSpeed; // none when the run starts at top speed
+          setTempo(musicRef.current, range > 0 ? (g.pace - p.initSpeed) / range : 0);
         }
 
         // DOM score update (avoids Preact re-render every frame)
@@ -500,34 +965,85 @@ export default function Game() {
         }
       }
 
-      // ── RENDER ─────────────────────────────────────────────────────────
-      const { w, h, gndY } = g;
-
-      drawSky(ctx, w, gndY);
-      drawStars(ctx, g.stars, g.t);
-      drawLayer(ctx, g.far,  g.farOff,  gndY, 0.55);
-      drawLayer(ctx, g.near, g.nearOff, gndY, 0.82);
-      drawGround(ctx, w, gndY, h, g.gndOff);
+      // Power-up timers re-render the HUD only when a second ticks over
+      const timers   = g.phase === 'gameover' ? [] : powerTimers(g);
+      const timerKey = timers.map(p => p.id + p.secs).join();
+      if (timerKey !== g.lastTimerKey) {
+        g.lastTimerKey = timerKey;
+        setPowers(timers);
+      }
 
-      g.obs.forEach(o => drawObstacle(ctx, o.x, gndY, o.type));
+      // ── RENDER ─────────────────────────────────────────────────────────
+      const { w, h, gndY, prev } = g;
+      const quality = trackFrame(frames, dt);
+      ctx.setTransform(viewScale, 0, 0, viewScale, 0, 0);
+      ctx.imageSmoothingEnabled = false;
+
+      // Reduced motion: still stars, no bounce or blink, a slower skyline
+      const still    = motionReducedRef.current;
+      const parallax = still ? REDUCED_PARALLAX : 1;
+      const bounce   = c => (still ? 0 : c.bounce);
+
+      const sky = skyAt(lerp(prev.gndOff, g.gndOff, alpha));
+      drawSky(ctx, w, gndY, sky);
+      drawStars(ctx, g.stars, still ? 0 : g.t, sky.stars, Math.round(g.stars.length * quality.stars));
+      drawLayer(ctx, g.far,  lerp(prev.farOff,  g.farOff,  alpha) * parallax, w, gndY, 0.55, sky, quality);
+      const nearOff = lerp(prev.nearOff, g.nearOff, alpha) * parallax;
+      drawLayer(ctx, g.near, nearOff, w, gndY, 0.82, sky, quality);
+      g.billboards.forEach(b => drawBillboard(ctx, g, b, nearOff, b === beside && readHint()));
+      drawGround(ctx, w, gndY, h, lerp(prev.gndOff, g.gndOff, alpha));
+
+      g.obs.forEach(o => {
+        const ox = Math.round(lerp(o.px, o.x, alpha));
+        ctx.globalAlpha = obstacleVisibility(g.weather, g.weatherFx, ox - g.char.x) * (o.smashed ? SMASHED_ALPHA : 1);
+        drawObstacle(ctx, ox, gndY, o.def, accessRef.current.contrast);
+      });
+      ctx.globalAlpha = 1;
+      const bob = still ? 0 : Math.round(Math.sin(g.t * 0.006) * 2);
+      g.pickups.forEach(p => drawPickup(ctx, Math.round(lerp(p.px, p.x, alpha)), gndY, p, bob));
+      drawWeather(ctx, g.weather, g.particles, ts, w, gndY);
+
+      // Ghost — placed by its distance lead over the live run
+      const spriteOf = atlas => spritesRef.current[atlas.id]?.canvas;
+      if (g.ghost && ghostRef.current && spriteOf(g.ghost.g.atlas)) {
+        const gg   = g.ghost.g;
+        const gch  = gg.char;
+        const lead = lerp(gg.prev.gndOff, gg.gndOff, alpha) - lerp(prev.gndOff, g.gndOff, alpha);
+        const gx   = Math.round(gch.x + lead);
+        if (gx > -gg.atlas.w && gx < w) {
+          const gy = lerp(gch.py, gch.y, alpha) + bounce(gch) - gg.gndY + gndY;
+          ctx.globalAlpha = 0.3;
+          drawRunner(ctx, spriteOf(gg.atlas), gg.atlas, gch, gx, gy);
+          ctx.globalAlpha = 1;
+        }
+      }
 
-      // Character — pick frame based on state
+      // Character
       const ch  = g.char;
-      const spr = spriteCanvasRef.current;
+      const spr = spriteOf(g.atlas);
       if (spr) {
-        const frameIdx = g.phase === 'gameover'
-          ? DEAD_FRAME
-          : ch.grounded
-            ? RUN_FRAMES[ch.frame]
-            : JUMP_FRAME;
-
         if (g.phase === 'gameover') {
-          ctx.globalAlpha = 0.5 + 0.5 * Math.abs(Math.sin(g.t * 0.007));
+          ctx.globalAlpha = still ? 0.6 : 0.5 + 0.5 * Math.abs(Math.sin(g.t * 0.007));
         }
-        drawSprite(ctx, spr, frameIdx, ch.x, Math.round(ch.y + ch.bounce), CHAR_W, CHAR_H);
+        drawRunner(ctx, spr, g.atlas, ch, ch.x, lerp(ch.py, ch.y, alpha) + bounce(ch));
         ctx.globalAlpha = 1;
       }
 
+      // Shield bubble, blinking as it runs out
+      const shield = g.power.shield;
+      if (shield > 0 && (still || shield > SHIELD_BLINK || Math.floor(shield / 8) % 2 === 0)) {
+        const hb = g.atlas.hitbox;
+        const cy = lerp(ch.py, ch.y, alpha) + bounce(ch) + hb.y + hb.h / 2;
+        ctx.strokeStyle = SHIELD_COLOR;
+        ctx.lineWidth   = 2;
+        ctx.beginPath();
+        ctx.arc(ch.x + hb.x + hb.w / 2, cy, hb.h * 0.65, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+
+      // Drawn at the last tick (not interpolated) — that is what collides
+      if (debugMasksRef.current) drawCollisionDebug(ctx, g);
+
       rafRef.current = requestAnimationFrame(loop);
     };
 
@@ -536,26 +1052,118 @@ export default function Game() {
     return () => {
       cancelAnimationFrame(rafRef.current);
       window.removeEventListener('keydown', onKey);
+      window.removeEventListener('keyup', onKeyUp);
       window.removeEventListener('resize', resize);
-      canvas.removeEventListener('click', doAction);
+      window.removeEventListener('blur', pause);
+      document.removeEventListener('visibilitychange', onVisibility);
+      dprQuery?.removeEventListener('change', resize);
+      canvas.removeEventListener('mousedown', onMouseDown);
+      window.removeEventListener('mouseup', doRelease);
+      canvas.removeEventListener('touchstart', onTouchStart);
+      canvas.removeEventListener('touchmove', onTouchMove);
+      canvas.removeEventListener('touchend', onTouchEnd);
     };
   }, []);
 
   return (
-    <div class="game-root">
-      <canvas ref={canvasRef} class="game-canvas" />
-      <ScoreHud hiRef={hiElRef} scoreRef={scoreElRef} />
-      <Overlay phase={phase} />
+    <div class={`game-root${motionReduced ? ' reduced-motion' : ''}`}>
+      {/* Canvas and HUD share the virtual playfield; resize scales the stage */}
+      <div ref={stageRef} class="game-stage" style={{ width: VIEW_W, height: VIEW_H }}>
+        <canvas ref={canvasRef} class="game-canvas" role="img" aria-label="Endless runner game" />
+        <ScoreHud
+          hiRef={hiElRef}
+          scoreRef={scoreElRef}
+          mode={mode}
+          daily={daily}
+          tuned={isAssisted(access) ? 'ASSIST ON'
+            : mode !== 'daily' && !isDefaultPhysics(physics) ? 'TUNED PHYSICS' : null}
+          news={scoreNews}
+          powers={powers}
+        />
+        <AchievementToasts toasts={toasts} />
+        {reading ? (
+          <BillboardPanel entry={reading} onClose={() => { setReading(null); controlsRef.current.resume(); }} />
+        ) : achievementsOpen ? (
+          <AchievementsScreen progress={tracker.progress} onClose={() => setAchievementsOpen(false)} />
+        ) : statsOpen ? (
+          <StatsScreen
+            scores={scores}
+            stats={stats}
+            onImport={(s, st) => { setScores(s); setStats(st); }}
+            onClose={() => setStatsOpen(false)}
+          />
+        ) : charSelect === null ? (
+          <Overlay
+            phase={phase}
+            mode={mode}
+            onSelectMode={m => controlsRef.current.setMode(m)}
+            character={character}
+            unlocked={unlocked}
+            onOpenCharacters={() => setCharSelect(controlsRef.current.hiScore())}
+            onOpenStats={() => setStatsOpen(true)}
+            onOpenAchievements={() => setAchievementsOpen(true)}
+            entry={pendingEntry}
+            initials={loadInitials()}
+            onSubmitEntry={submitEntry}
+            onSkipEntry={skipEntry}
+            online={online}
+            lastReplay={lastReplay}
+            replayError={replayError}
+            onWatchReplay={() => controlsRef.current.watch(lastReplay)}
+            onExportReplay={() => downloadReplay(lastReplay)}
+            onImportReplay={text => controlsRef.current.import(text)}
+            tunedRun={tunedRun}
+            score={finalScore}
+            countdown={countdown}
+            pauseKeys={bindings.keys.pause}
+            jumpKeys={bindings.keys.jump}
+            onPause={() => controlsRef.current.pause()}
+            onResume={() => controlsRef.current.resume()}
+          />
+        ) : (
+          <CharacterSelect
+            character={character}
+            hiScore={charSelect}
+            spritesRef={spritesRef}
+            onSelect={c => { controlsRef.current.setCharacter(c); setCharSelect(null); }}
+            onClose={() => setCharSelect(null)}
+          />
+        )}
+        <SocialLinks />
+      </div>
       <Settings
         settingsOpen={settingsOpen}
         setSettingsOpen={setSettingsOpen}
-        music={music}
-        setMusic={setMusic}
+        sound={sound}
+        setSound={updateSound}
+        ghost={ghost}
+        setGhost={setGhost}
+        debugMasks={debugMasks}
+        setDebugMasks={setDebugMasks}
+        weather={weather}
+        weatherFx={weatherFx}
+        onWeatherChange={(id, fx) => controlsRef.current.setWeather(id, fx)}
+        bindings={bindings}
+        setBindings={setBindings}
+        onCapture={on => { capturingRef.current = on; }}
+        access={access}
+        setAccess={setAccess}
         physics={physics}
         setPhysics={setPhysics}
-        physicsDefaults={PHYSICS_DEFAULTS}
+        presets={presets}
+        onSavePreset={savePreset}
+        onDeletePreset={deletePreset}
+        onOpenEditor={() => { setSettingsOpen(false); setEditorOpen(true); }}
       />
-      <SocialLinks />
+      {editorOpen && (
+        <ObstacleEditor
+          customs={customs}
+          loadIssues={customIssues}
+          setCustoms={updateCustoms}
+          spritesRef={spritesRef}
+          onClose={() => setEditorOpen(false)}
+        />
+      )}
     </div>
   );
 }
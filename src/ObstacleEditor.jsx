@@ -0,0 +1,267 @@
+import { useEffect, useRef, useState } from 'preact/hooks';
+import { drawObstacle } from './obstacles';
+import { drawSprite, CHAR_H, DEFAULT_ATLAS } from './sprite';
+import { validateObstacle, DEFAULT_LEVEL } from './level';
+import {
+  CUSTOM_PREFIX, mergeObstacles, parseObstacleFile, downloadObstacles,
+} from './customObstacles';
+
+const MAX_CELLS = 24;
+const PREVIEW_W = 320;
+const PREVIEW_H = 200;
+const PREVIEW_GND = 176;
+
+const blankObstacle = () => ({
+  id:      `${CUSTOM_PREFIX}${Date.now().toString(36)}`,
+  name:    'NEW PROP',
+  scale:   7,
+  lift:    0,
+  hang:    false,
+  weight:  1,
+  palette: ['#5c5c80', '#fce060'],
+  rows:    Array.from({ length: 6 }, () => Array(5).fill(0)),
+});
+
+// Copy of a built-in obstacle as a new custom one
+const copyOf = def => ({
+  ...blankObstacle(),
+  name:    `${def.name} COPY`.toUpperCase(),
+  scale:   def.scale,
+  lift:    def.lift,
+  hang:    def.hang,
+  weight:  def.weight,
+  palette: [...def.palette],
+  rows:    def.rows.map(r => [...r]),
+  ...(def.hitbox && { hitbox: { ...def.hitbox } }),
+});
+
+function resizeRows(rows, cols, count) {
+  return Array.from({ length: count }, (_, ri) =>
+    Array.from({ length: cols }, (_, ci) => rows[ri]?.[ci] ?? 0));
+}
+
+// A copied hitbox cut to a resized bitmap (none once nothing is left)
+function fitHitbox(hitbox, cols, count) {
+  if (!hitbox) return undefined;
+  const w = Math.min(hitbox.w, cols - hitbox.x);
+  const h = Math.min(hitbox.h, count - hitbox.y);
+  return w > 0 && h > 0 ? { ...hitbox, w, h } : undefined;
+}
+
+function Preview({ draft, spritesRef }) {
+  const canvasRef = useRef(null);
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext('2d');
+    ctx.fillStyle = '#171232';
+    ctx.fillRect(0, 0, PREVIEW_W, PREVIEW_GND);
+    ctx.fillStyle = '#100e24';
+    ctx.fillRect(0, PREVIEW_GND, PREVIEW_W, PREVIEW_H - PREVIEW_GND);
+    ctx.fillStyle = '#5555aa';
+    ctx.fillRect(0, PREVIEW_GND, PREVIEW_W, 2);
+    const atlas = DEFAULT_ATLAS;
+    const spr   = spritesRef.current[atlas.id]?.canvas;
+    if (spr) {
+      const pose = atlas.animations.run.poses[0];
+      drawSprite(ctx, spr, atlas, pose.frame, 16, PREVIEW_GND - CHAR_H + atlas.footOff, atlas.w, pose.h);
+    }
+    const w = draft.rows[0].length * draft.scale;
+    drawObstacle(ctx, Math.round((PREVIEW_W + atlas.w - w) / 2), PREVIEW_GND, draft);
+  }, [draft]);
+  return <canvas ref={canvasRef} class="editor-preview" width={PREVIEW_W} height={PREVIEW_H} />;
+}
+
+function NumberField({ label, value, min, max, step = 1, onChange }) {
+  return (
+    <label class="editor-field">
+      <span>{label}</span>
+      <input
+        type="number" min={min} max={max} step={step} value={value}
+        onInput={e => {
+          const v = parseFloat(e.target.value);
+          if (Number.isFinite(v)) onChange(Math.min(max, Math.max(min, v)));
+        }}
+      />
+    </label>
+  );
+}
+
+// loadIssues: problems with saved obstacles that were left out on load
+export default function ObstacleEditor({ customs, setCustoms, loadIssues, spritesRef, onClose }) {
+  const [draft, setDraft]   = useState(() => customs[0] ?? blankObstacle());
+  const [paint, setPaint]   = useState(1);
+  const [issues, setIssues] = useState(loadIssues);
+  const paintingRef = useRef(false);
+
+  useEffect(() => {
+    const stop = () => { paintingRef.current = false; };
+    window.addEventListener('pointerup', stop);
+    return () => window.removeEventListener('pointerup', stop);
+  }, []);
+
+  const update = patch => setDraft(d => ({ ...d, ...patch }));
+
+  const paintCell = (ri, ci) => setDraft(d => {
+    if (d.rows[ri][ci] === paint) return d;
+    const rows = d.rows.map(r => [...r]);
+    rows[ri][ci] = paint;
+    return { ...d, rows };
+  });
+
+  const resize = (cols, count) => update({
+    rows:   resizeRows(draft.rows, cols, count),
+    hitbox: fitHitbox(draft.hitbox, cols, count),
+  });
+
+  const setColor = (i, color) => update({ palette: draft.palette.map((c, j) => (j === i ? color : c)) });
+
+  const addColor = () => update({ palette: [...draft.palette, '#ffffff'] });
+
+  // Removing a colour clears its cells and shifts the higher indices down;
+  // the brush follows (the eraser if it held that colour)
+  const removeColor = i => {
+    const idx = i + 1;
+    update({
+      palette: draft.palette.filter((_, j) => j !== i),
+      rows:    draft.rows.map(r => r.map(c => (c === idx ? 0 : c > idx ? c - 1 : c))),
+    });
+    if (paint === idx) setPaint(0);
+    else if (paint > idx) setPaint(paint - 1);
+  };
+
+  const save = () => {
+    const found = [];
+    validateObstacle(draft, draft.name, found);
+    setIssues(found);
+    if (!found.length) setCustoms(mergeObstacles(customs, [draft]));
+  };
+
+  const remove = () => {
+    const rest = customs.filter(o => o.id !== draft.id);
+    setCustoms(rest);
+    setDraft(rest[0] ?? blankObstacle());
+    setIssues([]);
+  };
+
+  const onImport = e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        const incoming = parseObstacleFile(text);
+        setCustoms(mergeObstacles(customs, incoming));
+        if (incoming.length) setDraft(incoming[0]);
+        setIssues([]);
+      } catch (err) {
+        setIssues(err.issues ?? [err.message]);
+      }
+    });
+  };
+
+  const cols = draft.rows[0].length;
+
+  return (
+    <div class="editor-panel">
+      <div class="editor-header">
+        <span>OBSTACLE EDITOR</span>
+        <button class="editor-btn" onClick={onClose}>CLOSE</button>
+      </div>
+
+      <div class="editor-row">
+        <select
+          class="editor-select"
+          value={customs.some(o => o.id === draft.id) ? draft.id : ''}
+          onChange={e => setDraft(customs.find(o => o.id === e.target.value))}
+        >
+          <option value="" disabled>UNSAVED</option>
+          {customs.map(o => <option key={o.id} value={o.id}>{o.name}</option>)}
+        </select>
+        <button class="editor-btn" onClick={() => setDraft(blankObstacle())}>NEW</button>
+        <select
+          class="editor-select"
+          value=""
+          onChange={e => setDraft(copyOf(DEFAULT_LEVEL.obstacles.find(o => o.id === e.target.value)))}
+        >
+          <option value="" disabled>COPY BUILT-IN…</option>
+          {DEFAULT_LEVEL.obstacles.map(o => <option key={o.id} value={o.id}>{o.name.toUpperCase()}</option>)}
+        </select>
+      </div>
+
+      <div class="editor-body">
+        <div
+          class="editor-grid"
+          style={{ gridTemplateColumns: `repeat(${cols}, 14px)` }}
+          onPointerLeave={() => { paintingRef.current = false; }}
+        >
+          {draft.rows.flatMap((row, ri) => row.map((c, ci) => (
+            <div
+              key={`${ri}-${ci}`}
+              class="editor-cell"
+              style={{ background: c ? draft.palette[c - 1] : undefined }}
+              onPointerDown={e => { e.preventDefault(); paintingRef.current = true; paintCell(ri, ci); }}
+              onPointerEnter={() => { if (paintingRef.current) paintCell(ri, ci); }}
+            />
+          )))}
+        </div>
+
+        <div class="editor-side">
+          <Preview draft={draft} spritesRef={spritesRef} />
+
+          <div class="editor-palette">
+            <button
+              class={`editor-swatch editor-eraser${paint === 0 ? ' active' : ''}`}
+              onClick={() => setPaint(0)}
+              title="ERASE"
+            />
+            {draft.palette.map((color, i) => (
+              <div key={i} class="editor-swatch-wrap">
+                <button
+                  class={`editor-swatch${paint === i + 1 ? ' active' : ''}`}
+                  style={{ background: color }}
+                  onClick={() => setPaint(i + 1)}
+                />
+                <input type="color" value={color} onInput={e => setColor(i, e.target.value)} />
+                {draft.palette.length > 1 && (
+                  <button class="editor-swatch-remove" onClick={() => removeColor(i)}>×</button>
+                )}
+              </div>
+            ))}
+            <button class="editor-btn" onClick={addColor}>+</button>
+          </div>
+        </div>
+      </div>
+
+      <div class="editor-fields">
+        <label class="editor-field editor-field-wide">
+          <span>NAME</span>
+          <input value={draft.name} maxLength={24} onInput={e => update({ name: e.target.value.toUpperCase() })} />
+        </label>
+        <NumberField label="COLS"  value={cols}              min={1} max={MAX_CELLS} onChange={v => resize(v, draft.rows.length)} />
+        <NumberField label="ROWS"  value={draft.rows.length} min={1} max={MAX_CELLS} onChange={v => resize(cols, v)} />
+        <NumberField label="SCALE" value={draft.scale}       min={1} max={12}        onChange={v => update({ scale: Math.round(v) })} />
+        <NumberField label="LIFT"  value={draft.lift}        min={0} max={200}       onChange={v => update({ lift: v })} />
+        <NumberField label="WEIGHT" value={draft.weight}     min={0} max={10} step={0.5} onChange={v => update({ weight: v })} />
+        <label class="editor-field">
+          <span>HANG</span>
+          <input type="checkbox" checked={draft.hang} onChange={e => update({ hang: e.target.checked })} />
+        </label>
+      </div>
+
+      {issues.length > 0 && (
+        <ul class="editor-issues">
+          {issues.map(i => <li key={i}>{i}</li>)}
+        </ul>
+      )}
+
+      <div class="editor-row">
+        <button class="editor-btn" onClick={save}>SAVE</button>
+        <button class="editor-btn" onClick={remove}>DELETE</button>
+        <button class="editor-btn" disabled={!customs.length} onClick={() => downloadObstacles(customs)}>EXPORT</button>
+        <label class="editor-btn">
+          IMPORT
+          <input type="file" accept="application/json,.json" hidden onChange={onImport} />
+        </label>
+      </div>
+    </div>
+  );
+}
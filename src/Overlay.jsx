@@ -1,19 +1,216 @@
+import { useEffect, useRef, useState } from 'preact/hooks';
 import { GROUND_RATIO } from './constants';
+import { INITIALS_RE } from './leaderboard';
+import { keyLabel } from './input';
 
 const overlayStyle = { bottom: `${(1 - GROUND_RATIO) * 100}%` };
 
-export default function Overlay({ phase }) {
-  if (phase !== 'intro' && phase !== 'gameover') return null;
+// A JSON file picker styled as a button; onImport gets the file's text
+export function ImportButton({ label, onImport }) {
+  const onChange = e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) file.text().then(onImport);
+  };
+  return (
+    <label class="overlay-btn">
+      {label}
+      <input type="file" accept="application/json,.json" hidden onChange={onChange} />
+    </label>
+  );
+}
+
+// Arcade-style initials for a run that made the top 10: three letters,
+// anything else is dropped as it's typed
+function InitialsEntry({ entry, initials, onSubmit, onSkip }) {
+  const [value, setValue] = useState(initials);
+  const inputRef = useRef(null);
+  useEffect(() => inputRef.current.focus(), []);
+  const onInput = e => {
+    const v = e.target.value.toUpperCase().replace(/[^A-Z]/g, '').slice(0, 3);
+    e.target.value = v;
+    setValue(v);
+  };
+  const submit = e => {
+    e.preventDefault();
+    if (INITIALS_RE.test(value)) onSubmit(value);
+  };
+  return (
+    <form class="overlay-initials" onSubmit={submit}>
+      <div class="overlay-unlock">TOP 10 SCORE {entry.score} — ENTER YOUR INITIALS</div>
+      <input
+        ref={inputRef}
+        class="overlay-initials-input"
+        aria-label="Your initials"
+        maxLength={3}
+        autocomplete="off"
+        spellcheck={false}
+        value={value}
+        onInput={onInput}
+      />
+      <div class="overlay-actions">
+        <button type="submit" class="overlay-btn" disabled={!INITIALS_RE.test(value)}>SAVE</button>
+        <button type="button" class="overlay-btn" onClick={onSkip}>SKIP</button>
+      </div>
+    </form>
+  );
+}
+
+// The last run's place on the online board (see online.js)
+function OnlineResult({ online }) {
+  if (online.sending) return <div class="overlay-online">SENDING SCORE…</div>;
+  if (online.error)   return <div class="overlay-online overlay-error">ONLINE: {online.error}</div>;
+  return (
+    <div class="overlay-online">
+      <div>ONLINE RANK #{online.rank}</div>
+      <ol class="overlay-online-top">
+        {online.top.map((e, i) => (
+          <li key={i}><span>{i + 1}. {e.name}</span><span>{e.score}</span></li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+const MODES = [
+  { id: 'endless', label: 'ENDLESS' },
+  { id: 'daily',   label: 'DAILY'   },
+];
+
+function ModeSelect({ mode, onSelect }) {
+  return (
+    <div class="overlay-mode-group">
+      {MODES.map(({ id, label }) => (
+        <button
+          key={id}
+          class={`overlay-mode-btn${mode === id ? ' active' : ''}`}
+          onClick={() => onSelect(id)}
+        >{label}</button>
+      ))}
+    </div>
+  );
+}
+
+// Shown over a run or a replay; mousedown is cancelled so the button never
+// takes focus (Space would click it again)
+function PauseButton({ onPause }) {
+  return (
+    <button
+      class="pause-btn"
+      aria-label="Pause"
+      onMouseDown={e => e.preventDefault()}
+      onClick={onPause}
+    >II</button>
+  );
+}
+
+// Key codes as a prompt, e.g. "ESC OR P" (see input.js)
+const keyList = codes => codes.map(keyLabel).join(' OR ');
+
+// Jump prompts: bound keys, or a tap when none are
+const jumpPrompt = (jumpKeys, what) => (jumpKeys.length ? `PRESS ${keyList(jumpKeys)} OR TAP TO ${what}` : `TAP TO ${what}`);
+
+// countdown: seconds left before play resumes (0 while fully paused)
+// pauseKeys: the keys bound to pause (see input.js)
+function PauseOverlay({ countdown, pauseKeys, onResume }) {
+  return (
+    <div class="overlay" style={overlayStyle}>
+      {countdown > 0 ? (
+        <div class="overlay-countdown" key={countdown}>{countdown}</div>
+      ) : (<>
+        <div class="overlay-title">PAUSED</div>
+        <div class="overlay-prompt">
+          {pauseKeys.length ? `PRESS ${keyList(pauseKeys)} TO RESUME` : 'NO KEY IS BOUND TO PAUSE'}
+        </div>
+        <div class="overlay-actions">
+          <button class="overlay-btn" onClick={onResume}>RESUME</button>
+        </div>
+      </>)}
+    </div>
+  );
+}
+
+// What the screen shows, in words for screen readers
+function phaseMessage({ phase, mode, countdown, score, tunedRun, unlocked, entry, online }) {
+  switch (phase) {
+    case 'intro':   return `${mode === 'daily' ? 'Daily challenge' : 'Endless run'}. Press jump or tap to start.`;
+    case 'playing': return 'Run started.';
+    case 'replay':  return 'Watching a replay. Press jump to play.';
+    case 'paused':  return countdown > 0 ? `Resuming in ${countdown}.` : 'Paused. Press pause to resume.';
+    case 'gameover': return [
+      `Game over. Score ${score}.`,
+      tunedRun && 'Not counted for the best score.',
+      unlocked.length > 0 && `Unlocked ${unlocked.map(c => c.name).join(', ')}.`,
+      online?.rank && `Online rank ${online.rank}.`,
+      entry ? 'Top 10 score. Enter your initials.' : 'Press jump to retry.',
+    ].filter(Boolean).join(' ');
+    default: return '';
+  }
+}
+
+// The live region stays mounted across phases so changes get announced
+export default function Overlay(props) {
+  return (<>
+    <div class="sr-only" role="status" aria-live="polite">{phaseMessage(props)}</div>
+    <PhaseOverlay {...props} />
+  </>);
+}
+
+// score: the last run's (or replay's) final score
+// tunedRun: why the last run's score wasn't kept, or null
+// entry: the last run, while it waits for initials to go in the top 10
+// online: how sending the last run to the online board went, or null
+// pauseKeys, jumpKeys: the keys bound to those actions, for the prompts
+function PhaseOverlay({
+  phase, mode, onSelectMode, character, unlocked, onOpenCharacters, onOpenStats, onOpenAchievements,
+  lastReplay, replayError, onWatchReplay, onExportReplay, onImportReplay,
+  countdown, onPause, onResume, tunedRun, entry, initials, onSubmitEntry, onSkipEntry, online,
+  pauseKeys, jumpKeys,
+}) {
+  if (phase === 'paused') return <PauseOverlay countdown={countdown} pauseKeys={pauseKeys} onResume={onResume} />;
+  if (phase === 'playing') return <PauseButton onPause={onPause} />;
+  if (phase === 'replay') {
+    return (<>
+      <PauseButton onPause={onPause} />
+      <div class="overlay" style={overlayStyle}>
+        <div class="overlay-replay-badge">REPLAY</div>
+        <div class="overlay-prompt">{jumpPrompt(jumpKeys, 'PLAY')}</div>
+      </div>
+    </>);
+  }
   return (
     <div class="overlay" style={overlayStyle}>
       {phase === 'intro' && (<>
         <div class="overlay-title">DEVAN ANDERSEN</div>
         <div class="overlay-subtitle">SENIOR SOFTWARE ENGINEER</div>
-        <div class="overlay-prompt">PRESS SPACE OR TAP TO START</div>
+        <div class="overlay-prompt">{jumpPrompt(jumpKeys, 'START')}</div>
       </>)}
       {phase === 'gameover' && (<>
         <div class="overlay-gameover-title">GAME OVER</div>
-        <div class="overlay-gameover-prompt">PRESS SPACE OR TAP TO RETRY</div>
+        {mode === 'daily' && <div class="overlay-subtitle">DAILY CHALLENGE</div>}
+        {tunedRun && <div class="overlay-subtitle">{tunedRun} — NOT COUNTED FOR HI</div>}
+        {!entry && <div class="overlay-gameover-prompt">{jumpPrompt(jumpKeys, 'RETRY')}</div>}
+        {unlocked.length > 0 && (
+          <div class="overlay-unlock">UNLOCKED {unlocked.map(c => c.name).join(', ')}</div>
+        )}
+        {online && <OnlineResult online={online} />}
+      </>)}
+      {phase === 'gameover' && entry ? (
+        <InitialsEntry entry={entry} initials={initials} onSubmit={onSubmitEntry} onSkip={onSkipEntry} />
+      ) : (<>
+        <ModeSelect mode={mode} onSelect={onSelectMode} />
+        <div class="overlay-actions">
+          <button class="overlay-btn" onClick={onOpenCharacters}>RUNNER: {character.name}</button>
+          <button class="overlay-btn" onClick={onOpenStats}>SCORES</button>
+          <button class="overlay-btn" onClick={onOpenAchievements}>ACHIEVEMENTS</button>
+          {phase === 'gameover' && lastReplay && (<>
+            <button class="overlay-btn" onClick={onWatchReplay}>WATCH REPLAY</button>
+            <button class="overlay-btn" onClick={onExportReplay}>EXPORT REPLAY</button>
+          </>)}
+          <ImportButton label="IMPORT REPLAY" onImport={onImportReplay} />
+          <a class="overlay-btn" href="#resume">SKIP THE GAME</a>
+        </div>
+        {replayError && <div class="overlay-error">{replayError}</div>}
       </>)}
     </div>
   );
@@ -0,0 +1,82 @@
+import { useEffect, useRef } from 'preact/hooks';
+import { PORTFOLIO, KINDS, parseMarkdown } from './portfolio';
+import { LINKS } from './SocialLinks';
+
+// Markdown blocks from portfolio.js
+function Markdown({ text }) {
+  const spans = list => list.map((s, i) => (
+    s.href ? <a key={i} href={s.href} target="_blank" rel="noopener noreferrer">{s.text}</a>
+      : s.strong ? <strong key={i}>{s.text}</strong>
+      : s.text
+  ));
+  return parseMarkdown(text).map((b, i) => (
+    b.list
+      ? <ul key={i}>{b.list.map((item, j) => <li key={j}>{spans(item)}</li>)}</ul>
+      : <p key={i}>{spans(b.para)}</p>
+  ));
+}
+
+function Entry({ entry }) {
+  const kind = KINDS[entry.kind];
+  return (
+    <article class="portfolio-entry">
+      <div class="portfolio-kind" style={{ color: kind.color }}>{kind.label}</div>
+      <h3 class="portfolio-title">{entry.title}</h3>
+      {(entry.subtitle || entry.dates) && (
+        <div class="portfolio-subtitle">{[entry.subtitle, entry.dates].filter(Boolean).join(' · ')}</div>
+      )}
+      <div class="portfolio-body"><Markdown text={entry.body} /></div>
+      {entry.links.length > 0 && (
+        <div class="portfolio-links">
+          {entry.links.map(l => (
+            <a key={l.href} href={l.href} target="_blank" rel="noopener noreferrer">{l.label}</a>
+          ))}
+        </div>
+      )}
+    </article>
+  );
+}
+
+// A billboard's entry, over the paused run; Escape or CLOSE resumes
+export function BillboardPanel({ entry, onClose }) {
+  const closeRef = useRef(null);
+  useEffect(() => closeRef.current.focus(), []);
+  const onKeyDown = e => {
+    if (e.code === 'Escape') onClose();
+  };
+  return (
+    <div class="char-panel portfolio-panel" role="dialog" aria-label={entry.title} onKeyDown={onKeyDown}>
+      <Entry entry={entry} />
+      <button ref={closeRef} class="overlay-btn" onClick={onClose}>CLOSE</button>
+    </div>
+  );
+}
+
+// The "skip the game" page (#resume, see App): every entry by kind
+export default function Resume() {
+  const { name, role, about, entries } = PORTFOLIO;
+  return (
+    <main class="resume">
+      <header class="resume-header">
+        <h1 class="resume-name">{name}</h1>
+        <div class="resume-role">{role}</div>
+        <div class="portfolio-body"><Markdown text={about} /></div>
+        <nav class="resume-links">
+          <a href="#">PLAY THE GAME</a>
+          {LINKS.map(({ label, href }) => (
+            <a key={label} href={href} target="_blank" rel="noopener noreferrer">{label}</a>
+          ))}
+        </nav>
+      </header>
+      {Object.entries(KINDS).map(([id, kind]) => {
+        const list = entries.filter(e => e.kind === id);
+        return list.length > 0 && (
+          <section key={id} class="resume-section">
+            <h2 class="resume-heading">{kind.heading}</h2>
+            {list.map(e => <Entry key={e.id} entry={e} />)}
+          </section>
+        );
+      })}
+    </main>
+  );
+}
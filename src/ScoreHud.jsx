@@ -1,8 +1,23 @@
-export default function ScoreHud({ hiRef, scoreRef }) {
+const pad = n => String(n).padStart(5, '0');
+
+// tuned: why runs don't count for HI ('TUNED PHYSICS', 'ASSIST ON'), or null
+// news: the latest score announcement for screen readers (the score itself
+// is updated every frame, far too often to be announced)
+// powers: running power-ups, { id, label, color, secs }
+export default function ScoreHud({ hiRef, scoreRef, mode, daily, tuned, news, powers }) {
   return (
     <div class="score-hud">
       <div ref={hiRef}    class="score-hi">HI 00000</div>
-      <div ref={scoreRef} class="score-current">00000</div>
+      {mode === 'daily' && (<>
+        <div class="score-daily">TODAY {pad(daily.best)}</div>
+        <div class="score-daily">STREAK {daily.streak}</div>
+      </>)}
+      {tuned && <div class="score-tuned">{tuned}</div>}
+      <div ref={scoreRef} class="score-current" aria-hidden="true">00000</div>
+      {powers.map(p => (
+        <div key={p.id} class="score-power" style={{ color: p.color }}>{p.label} {p.secs}</div>
+      ))}
+      <div class="sr-only" role="status" aria-live="polite">{news}</div>
     </div>
   );
 }
@@ -1,3 +1,10 @@
+import { useEffect, useState } from 'preact/hooks';
+import { WEATHER } from './weather';
+import { PHYSICS_RANGES, BUILTIN_PRESETS, isBuiltinPreset, samePhysics, presetUrl } from './presets';
+import {
+  ACTIONS, DEFAULT_BINDINGS, bindInput, unbindInput, keyLabel, buttonLabel, heldButtons,
+} from './input';
+
 const GEAR_GRID = [
   [0,0,1,1,1,1,0,0],
   [0,1,1,1,1,1,1,0],
@@ -23,23 +30,272 @@ function GearIcon({ size = 16, color = '#4848a0' }) {
   );
 }
 
+// Ranges come from PHYSICS_RANGES
 const SLIDER_GROUPS = [
   { heading: 'MOVEMENT', sliders: [
-    { label: 'GRAVITY', key: 'gravity',   min: 0.1,  max: 2,    step: 0.01,  parse: parseFloat },
-    { label: 'JUMP',    key: 'jumpForce', min: -30,  max: -2,   step: 0.5,   parse: parseFloat },
+    { label: 'GRAVITY', key: 'gravity',   parse: parseFloat },
+    { label: 'JUMP',    key: 'jumpForce', parse: parseFloat },
+  ]},
+  { heading: 'JUMP FEEL', sliders: [
+    { label: 'CUT',     key: 'jumpCut',   parse: parseFloat },
+    { label: 'COYOTE',  key: 'coyoteMs',  parse: parseInt   },
+    { label: 'BUFFER',  key: 'bufferMs',  parse: parseInt   },
   ]},
   { heading: 'SPEED', sliders: [
-    { label: 'INIT',    key: 'initSpeed', min: 1,    max: 20,   step: 0.5,   parse: parseFloat },
-    { label: 'MAX',     key: 'maxSpeed',  min: 5,    max: 50,   step: 1,     parse: parseFloat },
-    { label: 'RATE',    key: 'speedRate', min: 0.001,max: 0.05, step: 0.001, parse: parseFloat },
+    { label: 'INIT',    key: 'initSpeed', parse: parseFloat },
+    { label: 'MAX',     key: 'maxSpeed',  parse: parseFloat },
+    { label: 'RATE',    key: 'speedRate', parse: parseFloat },
   ]},
   { heading: 'OBSTACLES', sliders: [
-    { label: 'MIN GAP', key: 'minGap',    min: 100,  max: 800,  step: 10,    parse: parseInt   },
-    { label: 'MAX GAP', key: 'maxGap',    min: 400,  max: 1600, step: 10,    parse: parseInt   },
+    { label: 'MIN GAP', key: 'minGap',    parse: parseInt   },
+    { label: 'MAX GAP', key: 'maxGap',    parse: parseInt   },
   ]},
 ];
 
-export default function Settings({ settingsOpen, setSettingsOpen, music, setMusic, physics, setPhysics, physicsDefaults }) {
+// options: [{ value, label }]
+function OptionRow({ label, options, value, onChange }) {
+  return (
+    <div class="settings-row">
+      <span>{label}</span>
+      <div class="settings-toggle-group">
+        {options.map(opt => (
+          <button
+            key={opt.label}
+            class="settings-toggle-btn"
+            onClick={() => onChange(opt.value)}
+            style={{
+              background: opt.value === value ? '#4848a0' : 'transparent',
+              color:      opt.value === value ? '#ffffff' : '#4848a0',
+            }}
+          >{opt.label}</button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const ON_OFF = [{ value: false, label: 'OFF' }, { value: true, label: 'ON' }];
+
+function ToggleRow(props) {
+  return <OptionRow options={ON_OFF} {...props} />;
+}
+
+// display: the value as shown next to the label
+function SliderItem({ label, display, value, min, max, step, onInput }) {
+  return (
+    <div class="settings-slider-item">
+      <div class="settings-slider-label-row">
+        <span class="settings-slider-label">{label}</span>
+        <span class="settings-slider-value">{display}</span>
+      </div>
+      <input
+        class="settings-slider"
+        type="range"
+        min={min} max={max} step={step}
+        value={value}
+        onInput={e => onInput(e.target.value)}
+      />
+    </div>
+  );
+}
+
+const VOLUMES = [
+  { label: 'MUSIC', key: 'music' },
+  { label: 'SFX',   key: 'sfx'   },
+];
+
+// Built-in and saved presets; the one matching the current physics is lit
+function PresetSection({ physics, setPhysics, presets, onSavePreset, onDeletePreset }) {
+  const [name, setName] = useState('');
+  // null, { copied } or, without clipboard access, { url } to copy by hand
+  const [link, setLink] = useState(null);
+  const current = [...BUILTIN_PRESETS, ...presets].find(p => samePhysics(p.physics, physics));
+  const newName = name.trim().toUpperCase();
+  const builtin = isBuiltinPreset(newName);
+
+  const save = () => {
+    onSavePreset(newName);
+    setName('');
+  };
+  const copyLink = () => {
+    const url    = presetUrl(physics, current?.name);
+    const manual = () => setLink({ url });
+    if (!navigator.clipboard?.writeText) return manual();
+    navigator.clipboard.writeText(url).then(() => setLink({ copied: true }), manual);
+  };
+
+  return (
+    <div>
+      <div class="settings-section-heading">PRESETS</div>
+      <div class="settings-preset-list">
+        {[...BUILTIN_PRESETS, ...presets].map(p => (
+          <span key={p.name} class="settings-preset">
+            <button
+              class={`settings-toggle-btn${p === current ? ' active' : ''}`}
+              onClick={() => { setPhysics(p.physics); setLink(null); }}
+            >{p.name}</button>
+            {presets.includes(p) && (
+              <button
+                class="settings-toggle-btn"
+                aria-label={`Delete preset ${p.name}`}
+                onClick={() => onDeletePreset(p.name)}
+              >×</button>
+            )}
+          </span>
+        ))}
+      </div>
+      <div class="settings-preset-save">
+        <input
+          class="settings-input"
+          placeholder="PRESET NAME"
+          maxLength={16}
+          value={name}
+          onInput={e => setName(e.target.value)}
+        />
+        <button class="settings-reset-btn" disabled={!newName || builtin} onClick={save}>SAVE</button>
+        <button class="settings-reset-btn" onClick={copyLink}>{link?.copied ? 'LINK COPIED' : 'COPY LINK'}</button>
+      </div>
+      {builtin && <div class="settings-note">{newName} IS A BUILT-IN PRESET</div>}
+      {link?.url && (
+        <input
+          class="settings-input settings-preset-link"
+          aria-label="Preset link, to copy"
+          readOnly
+          value={link.url}
+          onFocus={e => e.target.select()}
+        />
+      )}
+    </div>
+  );
+}
+
+// Waits for the next key (Escape cancels) or newly pressed gamepad button
+// and binds it to capture.action. Keys are caught before the game sees them.
+function useBindingCapture(capture, bind, cancel, onCapture) {
+  useEffect(() => {
+    if (!capture) return;
+    onCapture(true);
+    let stop;
+    if (capture.device === 'keys') {
+      const onKey = e => {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        if (e.code === 'Escape') cancel();
+        else bind(e.code);
+      };
+      window.addEventListener('keydown', onKey, true);
+      stop = () => window.removeEventListener('keydown', onKey, true);
+    } else {
+      let held  = heldButtons();
+      let frame = requestAnimationFrame(function poll() {
+        const now   = heldButtons();
+        const fresh = [...now].find(i => !held.has(i));
+        held = now;
+        if (fresh !== undefined) bind(fresh);
+        else frame = requestAnimationFrame(poll);
+      });
+      stop = () => cancelAnimationFrame(frame);
+    }
+    return () => {
+      stop();
+      onCapture(false);
+    };
+  }, [capture]);
+}
+
+// Each action's keys and pad buttons; clicking one unbinds it
+function ControlsSection({ bindings, setBindings, onCapture }) {
+  const [capture, setCapture] = useState(null);
+  useBindingCapture(
+    capture,
+    input => {
+      setBindings(b => bindInput(b, capture.device, capture.action, input));
+      setCapture(null);
+    },
+    () => setCapture(null),
+    onCapture,
+  );
+
+  const toggleCapture = (action, device) => setCapture(c =>
+    c?.action === action && c.device === device ? null : { action, device });
+
+  return (
+    <div>
+      <div class="settings-section-heading">CONTROLS</div>
+      {ACTIONS.map(({ id, label }) => (
+        <div key={id} class="settings-row settings-binding-row">
+          <span>{label}</span>
+          <div class="settings-preset-list">
+            {bindings.keys[id].map(code => (
+              <button
+                key={code}
+                class="settings-toggle-btn"
+                aria-label={`Unbind ${keyLabel(code)} from ${label}`}
+                onClick={() => setBindings(b => unbindInput(b, 'keys', id, code))}
+              >{keyLabel(code)}</button>
+            ))}
+            {bindings.pad[id].map(i => (
+              <button
+                key={i}
+                class="settings-toggle-btn pad"
+                aria-label={`Unbind pad ${buttonLabel(i)} from ${label}`}
+                onClick={() => setBindings(b => unbindInput(b, 'pad', id, i))}
+              >{buttonLabel(i)}</button>
+            ))}
+            {['keys', 'pad'].map(device => (
+              <button
+                key={device}
+                class={`settings-toggle-btn add${capture?.action === id && capture.device === device ? ' active' : ''}`}
+                onClick={() => toggleCapture(id, device)}
+              >
+                {capture?.action === id && capture.device === device
+                  ? (device === 'keys' ? 'PRESS KEY' : 'PRESS BUTTON')
+                  : (device === 'keys' ? '+ KEY' : '+ PAD')}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+      <button class="settings-reset-btn" onClick={() => { setCapture(null); setBindings(DEFAULT_BINDINGS); }}>
+        RESET CONTROLS
+      </button>
+    </div>
+  );
+}
+
+const MOTION_OPTIONS = [
+  { value: 'auto', label: 'AUTO' },
+  { value: false,  label: 'OFF'  },
+  { value: true,   label: 'ON'   },
+];
+
+// Assists keep the run's score off the best, like tuned physics
+function AccessSection({ access, setAccess }) {
+  const set = key => value => setAccess(a => ({ ...a, [key]: value }));
+  return (
+    <div class="settings-group">
+      <div class="settings-section-heading">ACCESSIBILITY</div>
+      <OptionRow label="REDUCED MOTION" options={MOTION_OPTIONS} value={access.motion} onChange={set('motion')} />
+      <ToggleRow label="HIGH CONTRAST" value={access.contrast} onChange={set('contrast')} />
+      <ToggleRow label="SLOW SPEED ASSIST" value={access.slowSpeed} onChange={set('slowSpeed')} />
+      <ToggleRow label="AUTO TIMING ASSIST" value={access.autoTiming} onChange={set('autoTiming')} />
+      {(access.slowSpeed || access.autoTiming) && (
+        <div class="settings-note">ASSISTED RUNS DON'T COUNT TOWARDS HI</div>
+      )}
+    </div>
+  );
+}
+
+const WEATHER_OPTIONS = [
+  { value: 'auto', label: 'AUTO' },
+  ...Object.values(WEATHER).map(w => ({ value: w.id, label: w.label })),
+];
+
+export default function Settings({
+  settingsOpen, setSettingsOpen, sound, setSound, ghost, setGhost, debugMasks, setDebugMasks,
+  weather, weatherFx, onWeatherChange, bindings, setBindings, onCapture, access, setAccess,
+  physics, setPhysics, presets, onSavePreset, onDeletePreset, onOpenEditor,
+}) {
   return (<>
     <button
       class={`gear-btn${settingsOpen ? ' open' : ''}`}
@@ -50,22 +306,34 @@ export default function Settings({ settingsOpen, setSettingsOpen, music, setMusi
 
     {settingsOpen && (
       <div class="settings-panel">
-        <div class="settings-row">
-          <span>MUSIC</span>
-          <div class="settings-toggle-group">
-            {['OFF', 'ON'].map(opt => (
-              <button
-                key={opt}
-                class="settings-toggle-btn"
-                onClick={() => setMusic(opt === 'ON')}
-                style={{
-                  background: (opt === 'ON') === music ? '#4848a0' : 'transparent',
-                  color:      (opt === 'ON') === music ? '#ffffff' : '#4848a0',
-                }}
-              >{opt}</button>
-            ))}
-          </div>
+        <ToggleRow label="MUTE" value={sound.muted} onChange={muted => setSound({ ...sound, muted })} />
+        <div class="settings-slider-grid">
+          {VOLUMES.map(({ label, key }) => (
+            <SliderItem
+              key={key}
+              label={label}
+              display={`${Math.round(sound[key] * 100)}%`}
+              value={sound[key]}
+              min={0} max={1} step={0.05}
+              onInput={v => setSound({ ...sound, [key]: parseFloat(v) })}
+            />
+          ))}
         </div>
+        <ToggleRow label="GHOST" value={ghost} onChange={setGhost} />
+        <ToggleRow label="DEBUG MASKS" value={debugMasks} onChange={setDebugMasks} />
+        <OptionRow label="WEATHER" options={WEATHER_OPTIONS} value={weather} onChange={w => onWeatherChange(w, weatherFx)} />
+        <ToggleRow label="WEATHER EFFECTS" value={weatherFx} onChange={fx => onWeatherChange(weather, fx)} />
+        <button class="settings-reset-btn" onClick={onOpenEditor}>
+          OBSTACLE EDITOR
+        </button>
+
+        <div class="settings-divider" />
+
+        <ControlsSection bindings={bindings} setBindings={setBindings} onCapture={onCapture} />
+
+        <div class="settings-divider" />
+
+        <AccessSection access={access} setAccess={setAccess} />
 
         <div class="settings-divider" />
 
@@ -73,20 +341,15 @@ export default function Settings({ settingsOpen, setSettingsOpen, music, setMusi
           <div key={heading}>
             <div class="settings-section-heading">{heading}</div>
             <div class="settings-slider-grid">
-              {sliders.map(({ label, key, min, max, step, parse }) => (
-                <div key={key} class="settings-slider-item">
-                  <div class="settings-slider-label-row">
-                    <span class="settings-slider-label">{label}</span>
-                    <span class="settings-slider-value">{physics[key]}</span>
-                  </div>
-                  <input
-                    class="settings-slider"
-                    type="range"
-                    min={min} max={max} step={step}
-                    value={physics[key]}
-                    onInput={e => setPhysics(p => ({ ...p, [key]: parse(e.target.value) }))}
-                  />
-                </div>
+              {sliders.map(({ label, key, parse }) => (
+                <SliderItem
+                  key={key}
+                  label={label}
+                  display={physics[key]}
+                  value={physics[key]}
+                  {...PHYSICS_RANGES[key]}
+                  onInput={v => setPhysics(p => ({ ...p, [key]: parse(v) }))}
+                />
               ))}
             </div>
           </div>
@@ -94,9 +357,13 @@ export default function Settings({ settingsOpen, setSettingsOpen, music, setMusi
 
         <div class="settings-divider" />
 
-        <button class="settings-reset-btn" onClick={() => setPhysics(physicsDefaults)}>
-          RESET DEFAULTS
-        </button>
+        <PresetSection
+          physics={physics}
+          setPhysics={setPhysics}
+          presets={presets}
+          onSavePreset={onSavePreset}
+          onDeletePreset={onDeletePreset}
+        />
       </div>
     )}
   </>);
@@ -1,6 +1,6 @@
 import { GROUND_RATIO } from './constants';
 
-const LINKS = [
+export const LINKS = [
   { label: 'GITHUB',   href: 'https://github.com/devanandersen' },
   { label: 'LINKEDIN', href: 'https://www.linkedin.com/in/devan-a-68211b73/' },
   { label: 'TWITTER',  href: 'https://x.com/devandersen' },
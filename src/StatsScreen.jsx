@@ -0,0 +1,76 @@
+import { useState } from 'preact/hooks';
+import { ImportButton } from './Overlay';
+import { TABLE_SIZE, downloadRecords, importRecords } from './leaderboard';
+
+function ScoreTable({ scores }) {
+  if (scores.length === 0) return <div class="stats-empty">NO SCORES YET</div>;
+  return (
+    <table class="stats-table">
+      <thead>
+        <tr>
+          <th>#</th><th>NAME</th><th>SCORE</th><th>DIST</th><th>CLEARED</th>
+          <th>TOP SPD</th><th>PHYSICS</th><th>DATE</th>
+        </tr>
+      </thead>
+      <tbody>
+        {scores.map((e, i) => (
+          <tr key={i}>
+            <td>{i + 1}</td>
+            <td class="stats-initials">{e.initials}</td>
+            <td>{e.score}</td>
+            <td>{e.distance}M</td>
+            <td>{e.cleared}</td>
+            <td>{e.maxSpeed}</td>
+            <td>{e.mode === 'daily' ? 'DAILY' : e.preset}</td>
+            <td>{e.date.slice(0, 10)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function Totals({ stats }) {
+  const { runs, score, distance, cleared, deaths } = stats;
+  const causes = Object.entries(deaths).sort((a, b) => b[1] - a[1]);
+  return (
+    <div class="stats-totals">
+      <div class="stats-row"><span>RUNS</span><span>{runs}</span></div>
+      <div class="stats-row"><span>TOTAL DISTANCE</span><span>{distance}M</span></div>
+      <div class="stats-row"><span>AVERAGE SCORE</span><span>{runs ? Math.round(score / runs) : 0}</span></div>
+      <div class="stats-row"><span>OBSTACLES CLEARED</span><span>{cleared}</span></div>
+      {causes.length > 0 && <div class="stats-subheading">DEATHS BY OBSTACLE</div>}
+      {causes.map(([name, count]) => (
+        <div class="stats-row" key={name}><span>{name.toUpperCase()}</span><span>{count}</span></div>
+      ))}
+    </div>
+  );
+}
+
+// onImport(scores, stats): a records file replaced the saved ones
+export default function StatsScreen({ scores, stats, onImport, onClose }) {
+  const [error, setError] = useState(null);
+  const importFile = text => {
+    try {
+      const records = importRecords(text);
+      setError(null);
+      onImport(records.scores, records.stats);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  return (
+    <div class="char-panel stats-panel">
+      <div class="char-heading">TOP {TABLE_SIZE}</div>
+      <ScoreTable scores={scores} />
+      <div class="char-heading">LIFETIME</div>
+      <Totals stats={stats} />
+      <div class="overlay-actions">
+        <button class="overlay-btn" onClick={() => downloadRecords(scores, stats)}>EXPORT</button>
+        <ImportButton label="IMPORT" onImport={importFile} />
+        <button class="overlay-btn" onClick={onClose}>BACK</button>
+      </div>
+      {error && <div class="overlay-error">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+import { scalePhysics, runnerBox, floorY } from './sim';
+import { getObstacleHitbox } from './obstacles';
+import { runnerPose } from './sprite';
+import { SLOW_FACTOR } from './pickups';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Accessibility
+//  Options from the Settings accessibility section, kept in 'da_access':
+//    motion        'auto' follows prefers-reduced-motion; true / false force it
+//    contrast      high-contrast obstacle palette (see obstacles.js)
+//    slowSpeed     the run is slower throughout
+//    autoTiming    one-switch aid: a press arms the right move (jump or
+//                  slide) for the next obstacle, made at the right moment
+//  The two assists make a run "assisted": like tuned physics, its score
+//  doesn't count towards the best, the ghost or unlocks.
+// ─────────────────────────────────────────────────────────────────────────
+const ACCESS_KEY = 'da_access';
+
+export const ACCESS_DEFAULTS = { motion: 'auto', contrast: false, slowSpeed: false, autoTiming: false };
+
+const SLOW_SPEED = 0.7; // speed multiplier under the slow-speed assist
+
+export function loadAccess() {
+  let s;
+  try {
+    s = JSON.parse(localStorage.getItem(ACCESS_KEY));
+  } catch {
+    s = null;
+  }
+  return {
+    motion:     [true, false, 'auto'].includes(s?.motion) ? s.motion : ACCESS_DEFAULTS.motion,
+    contrast:   s?.contrast   === true,
+    slowSpeed:  s?.slowSpeed  === true,
+    autoTiming: s?.autoTiming === true,
+  };
+}
+
+export function saveAccess(access) {
+  localStorage.setItem(ACCESS_KEY, JSON.stringify(access));
+}
+
+export const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+export function reducedMotion(access, prefersReduced) {
+  return access.motion === 'auto' ? prefersReduced : access.motion;
+}
+
+export function isAssisted(access) {
+  return access.slowSpeed || access.autoTiming;
+}
+
+export function assistPhysics(access, physics) {
+  return access.slowSpeed
+    ? scalePhysics(physics, 'assist:slow', { initSpeed: SLOW_SPEED, maxSpeed: SLOW_SPEED })
+    : physics;
+}
+
+// ─── Auto timing ──────────────────────────────────────────────────────────
+// Each tick an armed press looks at the obstacles ahead. Jumps are planned
+// by predicting the flight for each start tick and hold length (a short
+// hold cuts the jump, as releasing the button early would); the jump is
+// made once no later start lands sooner, so short jumps keep up with tight
+// gaps at speed. Runner hitboxes are used, so the prediction is on the
+// safe side of pixel collision. Plans for later ticks keep a wider margin
+// than plans for now, so a jump worth waiting for still clears when its
+// tick comes.
+const SLIDE_LEAD_TICKS = 4;  // slides start this many ticks before the obstacle
+const HOLD_OPTIONS     = [2, 4, 6, 8, 10, 13, 16, 20, Infinity];
+const MAX_FLIGHT_TICKS = 240;
+const MAX_LEAD_TICKS   = 60;
+const MARGIN_PX        = 4;  // obstacle boxes grow this much for jumps now
+const WAIT_MARGIN_PX   = 8;  // … and this much for later jumps
+
+// The next obstacle the runner hasn't cleared, with its hitbox. Obstacles
+// following it closer than the runner's width (a cluster) widen the box, so
+// one move clears them all.
+function nextObstacle(g, cb) {
+  const i = g.obs.findIndex(o => getObstacleHitbox(o, g.gndY).right >= cb.left);
+  if (i < 0) return null;
+  const ob = { ...getObstacleHitbox(g.obs[i], g.gndY) };
+  let last = g.obs[i];
+  for (const o of g.obs.slice(i + 1)) {
+    const hb = getObstacleHitbox(o, g.gndY);
+    if (hb.left - ob.right > cb.right - cb.left) break;
+    ob.right  = hb.right;
+    ob.top    = Math.min(ob.top, hb.top);
+    ob.bottom = Math.max(ob.bottom, hb.bottom);
+    last = o;
+  }
+  return { first: g.obs[i], last, ob };
+}
+
+// Standing, the slide hitbox top; obstacles whose bottom is above it are
+// slid under, the rest jumped
+function slidesUnder(g, ob) {
+  return ob.bottom <= floorY(g) + g.atlas.slideHitbox.y;
+}
+
+// Ticks a held jump takes to rise `height` px (Infinity if it never does)
+function riseTicks(physics, height) {
+  let y = 0, vy = physics.jumpForce;
+  for (let t = 1; vy < 0; t++) {
+    vy += physics.gravity;
+    y  -= vy;
+    if (y >= height) return t;
+  }
+  return Infinity;
+}
+
+// Px the track moves by `ticks` ticks into a jump taking off `lead` ticks
+// from now. Slow-motion only starts or ends on the ground (see sim.js).
+function travel(g, lead, ticks) {
+  const slowed = g.pace * SLOW_FACTOR;
+  const ground = Math.min(lead, g.power.slow);
+  const air    = lead === 0 ? g.speed : lead <= g.power.slow ? slowed : g.pace;
+  return slowed * ground + g.pace * (lead - ground) + air * ticks;
+}
+
+// After landing (obstacles moved `shift` px), whether there's time to get
+// over the next obstacle; ones to slide under need next to none
+function canFollow(g, physics, boxes, cb, shift) {
+  const b = boxes.find(b => b.left - shift >= cb.right);
+  if (!b || slidesUnder(g, b)) return true;
+  return (b.left - shift - cb.right) / g.pace >= riseTicks(physics, cb.bottom - b.top);
+}
+
+// Ticks from now until landing, for a jump `lead` ticks from now released
+// after `hold` ticks in the air; null if it hits an obstacle, comes down
+// before `ob` has gone by or lands too close to the next one. Obstacles are
+// taken to keep the current pace.
+// boxes: obstacle hitboxes, grown by the margin
+function jumpLanding(g, physics, boxes, cb, ob, lead, hold) {
+  const hb    = g.atlas.hitbox;
+  const floor = floorY(g);
+  let y = floor, vy = physics.jumpForce;
+  for (let t = 1; t <= MAX_FLIGHT_TICKS; t++) {
+    if (t - 1 === hold && vy < 0) vy *= physics.jumpCut;
+    vy += physics.gravity;
+    y   = Math.min(floor, y + vy);
+    const shift = travel(g, lead, t);
+    const top = y + hb.y, bottom = top + hb.h;
+    const hit = boxes.some(b =>
+      b.left - shift < cb.right && b.right - shift > cb.left && bottom > b.top && top < b.bottom);
+    if (hit) return null;
+    if (y === floor) {
+      const clear = ob.right - shift < cb.left && canFollow(g, physics, boxes, cb, shift);
+      return clear ? lead + t : null;
+    }
+  }
+  return null;
+}
+
+function grownBoxes(g, margin) {
+  return g.obs.map(o => {
+    const b = getObstacleHitbox(o, g.gndY);
+    return { left: b.left - margin, right: b.right + margin, top: b.top - margin, bottom: b.bottom + margin };
+  });
+}
+
+// The start tick and hold that land soonest: { lead, hold, land } or null.
+// Starts are tried up to when the runner would reach `ob`; if none clears
+// with margins, a jump now with none at all is the last resort.
+function planJump(g, physics, cb, ob) {
+  const maxLead = Math.min(MAX_LEAD_TICKS, Math.ceil((ob.left - cb.right) / g.speed));
+  let best = null;
+  const tryJumps = (boxes, lead) => HOLD_OPTIONS.forEach(hold => {
+    const land = jumpLanding(g, physics, boxes, cb, ob, lead, hold);
+    if (land !== null && (!best || land < best.land)) best = { lead, hold, land };
+  });
+  const waitBoxes = grownBoxes(g, WAIT_MARGIN_PX);
+  tryJumps(grownBoxes(g, MARGIN_PX), 0);
+  for (let lead = 1; lead <= maxLead; lead++) tryJumps(waitBoxes, lead);
+  if (!best) tryJumps(grownBoxes(g, 0), 0);
+  return best;
+}
+
+// Called before each tick while a press is armed. Returns the input to
+// make now: 'jump', 'jumpRelease', 'slideOn' or 'slideOff', or null to
+// wait. Once its move is done, `armed.done` is set.
+// armed: per-press state, starting as {}; the aid keeps its plan there
+// (release: ticks until a planned jump release, slideUntil: the last
+// obstacle of a cluster being slid under)
+export function autoTimingInput(g, armed, physics) {
+  const cb = runnerBox(g, runnerPose(g.atlas, g.char), null);
+  if (armed.release !== undefined) {
+    armed.release -= 1;
+    if (armed.release > 0) return null;
+    armed.done = true;
+    return 'jumpRelease';
+  }
+  const next = nextObstacle(g, cb);
+  if (armed.slideUntil) {
+    if (next && g.obs.indexOf(next.first) <= g.obs.indexOf(armed.slideUntil)) return null;
+    armed.done = true;
+    return 'slideOff';
+  }
+  if (!next || !g.char.grounded) return null;
+
+  const { last, ob } = next;
+  if (slidesUnder(g, ob)) {
+    if (ob.left - cb.right > g.speed * SLIDE_LEAD_TICKS) return null;
+    armed.slideUntil = last;
+    return 'slideOn';
+  }
+  const plan = planJump(g, physics, cb, ob);
+  if (!plan || plan.lead > 0) return null;
+  // A full jump needs no release
+  if (plan.hold === Infinity) armed.done = true;
+  else armed.release = plan.hold;
+  return 'jump';
+}
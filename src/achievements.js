@@ -0,0 +1,155 @@
+import { STEP_MS } from './sim';
+import { DEFAULT_LEVEL } from './level';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Achievements
+//  Earned from the sim events of played runs (g.events, see sim.js) and the
+//  run they happen in. Game's loop hands every frame's events to
+//  trackAchievements before draining them. Replays and tuned runs (see
+//  presets.js) earn nothing. Progress is kept in 'da_achievements':
+//    unlocked  { id: ISO date earned }
+//    totals    { runs, jumps, nearMisses, coins, cleared: { obstacle id: count } }
+//  Each def:
+//    test(run, totals, g)   true once earned; run counts this run's
+//                           { jumps, nearMisses, topSpeed, cleared }
+//    progress(totals)       optional [done, needed] for the list screen
+// ─────────────────────────────────────────────────────────────────────────
+const ACHIEVEMENTS_KEY = 'da_achievements';
+
+const SECOND = 1000 / STEP_MS; // ticks
+
+// Every obstacle type the default level can spawn
+const CITY_TYPES = DEFAULT_LEVEL.obstacles.map(o => o.id);
+const typesCleared = totals => CITY_TYPES.filter(id => totals.cleared[id] > 0).length;
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-run', name: 'FIRST STEPS', desc: 'FINISH A RUN',
+    test: (run, totals) => totals.runs >= 1,
+  },
+  {
+    id: 'hopper', name: 'HOPPER', desc: '50 JUMPS IN ONE RUN',
+    test: run => run.jumps >= 50,
+  },
+  {
+    id: 'frog-legs', name: 'FROG LEGS', desc: '1000 JUMPS IN ALL',
+    test: (run, totals) => totals.jumps >= 1000,
+    progress: totals => [Math.min(totals.jumps, 1000), 1000],
+  },
+  {
+    id: 'close-shave', name: 'CLOSE SHAVE', desc: 'A NEAR MISS',
+    test: run => run.nearMisses >= 1,
+  },
+  {
+    id: 'daredevil', name: 'DAREDEVIL', desc: '10 NEAR MISSES IN ONE RUN',
+    test: run => run.nearMisses >= 10,
+  },
+  {
+    id: 'score-500', name: 'HALF K', desc: 'SCORE 500',
+    test: (run, totals, g) => g.score >= 500,
+  },
+  {
+    id: 'score-1000', name: 'FOUR DIGITS', desc: 'SCORE 1000',
+    test: (run, totals, g) => g.score >= 1000,
+  },
+  {
+    id: 'top-speed', name: 'FULL THROTTLE', desc: 'REACH TOP SPEED',
+    test: run => run.topSpeed,
+  },
+  {
+    id: 'survivor', name: 'SURVIVOR', desc: 'LAST 60 SECONDS',
+    test: (run, totals, g) => g.tick >= 60 * SECOND,
+  },
+  {
+    id: 'marathon', name: 'MARATHON', desc: 'LAST 3 MINUTES',
+    test: (run, totals, g) => g.tick >= 180 * SECOND,
+  },
+  {
+    id: 'city-tour', name: 'CITY TOUR', desc: 'CLEAR EVERY KIND OF OBSTACLE',
+    test: (run, totals) => typesCleared(totals) === CITY_TYPES.length,
+    progress: totals => [typesCleared(totals), CITY_TYPES.length],
+  },
+  {
+    id: 'birdwatcher', name: 'BIRDWATCHER', desc: 'CLEAR 25 PIGEON FLOCKS',
+    test: (run, totals) => (totals.cleared.pigeons ?? 0) >= 25,
+    progress: totals => [Math.min(totals.cleared.pigeons ?? 0, 25), 25],
+  },
+  {
+    id: 'ship-it', name: 'SHIP IT', desc: 'COLLECT 100 COMMITS',
+    test: (run, totals) => totals.coins >= 100,
+    progress: totals => [Math.min(totals.coins, 100), 100],
+  },
+];
+
+const isCount = v => Number.isInteger(v) && v >= 0;
+
+function emptyProgress() {
+  return { unlocked: {}, totals: { runs: 0, jumps: 0, nearMisses: 0, coins: 0, cleared: {} } };
+}
+
+export function loadAchievements() {
+  try {
+    const data = JSON.parse(localStorage.getItem(ACHIEVEMENTS_KEY));
+    const t    = data?.totals;
+    const ok   = data?.unlocked && typeof data.unlocked === 'object' &&
+      t && ['runs', 'jumps', 'nearMisses'].every(k => isCount(t[k])) &&
+      t.cleared && typeof t.cleared === 'object' && Object.values(t.cleared).every(isCount);
+    return ok ? { ...data, totals: { coins: 0, ...t } } : emptyProgress(); // coins came later
+  } catch {
+    return emptyProgress();
+  }
+}
+
+function saveAchievements(progress) {
+  localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(progress));
+}
+
+// ─── Tracking ─────────────────────────────────────────────────────────────
+export function createTracker() {
+  return { progress: loadAchievements(), g: null, run: null };
+}
+
+// Counts this frame's events from g (a played run) and returns the defs
+// they earned, if any. Totals are saved at the end of a run or with a new
+// achievement, not on every jump.
+export function trackAchievements(tracker, g) {
+  if (tracker.g !== g) {
+    tracker.g   = g;
+    tracker.run = { jumps: 0, nearMisses: 0, topSpeed: false, cleared: {} };
+  }
+  const { run, progress } = tracker;
+  const { totals } = progress;
+  let ended   = false;
+  let cleared = false;
+  g.events.forEach(e => {
+    if (e === 'jump') {
+      run.jumps    += 1;
+      totals.jumps += 1;
+    } else if (e === 'nearMiss') {
+      run.nearMisses    += 1;
+      totals.nearMisses += 1;
+    } else if (e === 'coin') {
+      totals.coins += 1;
+    } else if (e === 'cleared') {
+      cleared = true;
+    } else if (e === 'topSpeed') {
+      run.topSpeed = true;
+    } else if (e === 'gameover') {
+      totals.runs += 1;
+      ended = true;
+    }
+  });
+  // g.clearedTypes counts the whole run; only what's new goes in the totals
+  if (cleared) {
+    Object.entries(g.clearedTypes).forEach(([id, n]) => {
+      totals.cleared[id] = (totals.cleared[id] ?? 0) + n - (run.cleared[id] ?? 0);
+      run.cleared[id]    = n;
+    });
+  }
+
+  const earned = ACHIEVEMENTS.filter(a => !progress.unlocked[a.id] && a.test(run, totals, g));
+  const date   = new Date().toISOString();
+  earned.forEach(a => { progress.unlocked[a.id] = date; });
+  if (ended || earned.length) saveAchievements(progress);
+  return earned;
+}
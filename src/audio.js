@@ -0,0 +1,104 @@
+// ─────────────────────────────────────────────────────────────────────────
+//  Audio engine
+//  One AudioContext shared by the music sequencer and sound effects,
+//  created on the first user gesture (browsers keep audio locked until
+//  then). Music and effects each have a bus feeding the master gain:
+//    music ─┐
+//    sfx   ─┴─ master ── speakers
+//  Volumes and mute are kept in localStorage ('da_audio').
+// ─────────────────────────────────────────────────────────────────────────
+const AUDIO_KEY = 'da_audio';
+const NOISE_S   = 1;    // length of the shared white-noise buffer
+const FADE_S    = 0.03; // volume changes glide this long to avoid clicks
+
+export const AUDIO_DEFAULTS = { music: 0, sfx: 0.6, muted: false };
+
+const isVolume = v => typeof v === 'number' && v >= 0 && v <= 1;
+
+export function loadAudioSettings() {
+  try {
+    const s = JSON.parse(localStorage.getItem(AUDIO_KEY));
+    return {
+      music: isVolume(s?.music) ? s.music : AUDIO_DEFAULTS.music,
+      sfx:   isVolume(s?.sfx)   ? s.sfx   : AUDIO_DEFAULTS.sfx,
+      muted: typeof s?.muted === 'boolean' ? s.muted : AUDIO_DEFAULTS.muted,
+    };
+  } catch {
+    return AUDIO_DEFAULTS;
+  }
+}
+
+export function saveAudioSettings(settings) {
+  localStorage.setItem(AUDIO_KEY, JSON.stringify(settings));
+}
+
+function makeNoise(ctx) {
+  const buf  = ctx.createBuffer(1, ctx.sampleRate * NOISE_S, ctx.sampleRate);
+  const data = buf.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  return buf;
+}
+
+export function createAudio() {
+  const ctx    = new AudioContext();
+  const master = ctx.createGain();
+  const music  = ctx.createGain();
+  const sfx    = ctx.createGain();
+  master.connect(ctx.destination);
+  music.connect(master);
+  sfx.connect(master);
+  return { ctx, master, music, sfx, noise: makeNoise(ctx) };
+}
+
+export function setVolumes(a, { music, sfx, muted }) {
+  const t = a.ctx.currentTime;
+  a.master.gain.setTargetAtTime(muted ? 0 : 1, t, FADE_S);
+  a.music.gain.setTargetAtTime(music, t, FADE_S);
+  a.sfx.gain.setTargetAtTime(sfx, t, FADE_S);
+}
+
+// Suspending freezes the audio clock, so anything already scheduled
+// (queued music steps included) picks up where it stopped
+export function holdAudio(a, hold) {
+  if (hold && a.ctx.state === 'running')    a.ctx.suspend();
+  if (!hold && a.ctx.state === 'suspended') a.ctx.resume();
+}
+
+// One note through an ADSR envelope into `out`; dur is how long it is held.
+// inst: an instrument as described in song.js
+export function scheduleNote(a, out, inst, freq, t, dur) {
+  const { ctx } = a;
+  const env  = ctx.createGain();
+  const peak = inst.volume;
+  const hold = t + Math.max(dur, inst.attack + inst.decay);
+  env.gain.setValueAtTime(0, t);
+  env.gain.linearRampToValueAtTime(peak, t + inst.attack);
+  env.gain.linearRampToValueAtTime(peak * inst.sustain, t + inst.attack + inst.decay);
+  env.gain.setValueAtTime(peak * inst.sustain, hold);
+  env.gain.linearRampToValueAtTime(0, hold + inst.release);
+
+  let src;
+  if (inst.wave === 'noise') {
+    src = ctx.createBufferSource();
+    src.buffer = a.noise;
+    src.loop   = true;
+  } else {
+    src = ctx.createOscillator();
+    src.type = inst.wave;
+    src.frequency.setValueAtTime(freq, t);
+    if (inst.drop) src.frequency.exponentialRampToValueAtTime(freq * inst.drop, t + inst.attack + inst.decay);
+  }
+
+  let node = src;
+  if (inst.filter) {
+    const filter = ctx.createBiquadFilter();
+    filter.type = inst.filter.type;
+    filter.frequency.value = inst.filter.freq;
+    src.connect(filter);
+    node = filter;
+  }
+  node.connect(env);
+  env.connect(out);
+  src.start(t);
+  src.stop(hold + inst.release + 0.01);
+}
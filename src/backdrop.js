@@ -0,0 +1,125 @@
+// ─────────────────────────────────────────────────────────────────────────
+//  Backdrop
+//  Sky, star field and the two parallax skyline layers. Each layer is
+//  painted once into an offscreen canvas and blitted per frame; it is only
+//  repainted when the time-of-day colours, the detail level or the canvas
+//  size change.
+// ─────────────────────────────────────────────────────────────────────────
+
+// ─── Skyline generation ───────────────────────────────────────────────────
+export function genBuildings(rng, count, minW, maxW, minH, maxH) {
+  const buildings = [];
+  let x = 0, tallest = 0;
+  for (let i = 0; i < count; i++) {
+    const bw     = minW + Math.floor(rng() * (maxW - minW + 1));
+    const bh     = minH + Math.floor(rng() * (maxH - minH + 1));
+    const floorH = 14, colW = 12;
+    const floors = Math.floor(bh / floorH);
+    const cols   = Math.floor(bw / colW);
+    const windows = [];
+    for (let f = 0; f < floors; f++) {
+      for (let c = 0; c < cols; c++) {
+        // Lit while the time of day's share of lit windows is above `on`
+        if (rng() > 0.3) windows.push({ f, c, on: rng() });
+      }
+    }
+    buildings.push({ x, bw, bh, floors, cols, floorH, colW, windows });
+    tallest = Math.max(tallest, bh);
+    x += bw + 3 + Math.floor(rng() * 10);
+  }
+  return { buildings, totalW: x, maxH: tallest, cache: null };
+}
+
+// ─── Star field ───────────────────────────────────────────────────────────
+export function genStars(rng, w, groundY) {
+  return Array.from({ length: 180 }, () => ({
+    x:  rng() * w,
+    y:  rng() * groundY * 0.88,
+    r:  rng() < 0.2 ? 1.4 : 0.8,
+    a:  0.45 + rng() * 0.55,
+    tw: 0.25 + rng() * 1.1,
+    tp: rng() * Math.PI * 2,
+  }));
+}
+
+// ─── Drawing ──────────────────────────────────────────────────────────────
+// sky: time-of-day settings from skyAt
+export function drawSky(ctx, w, groundY, sky) {
+  const g = ctx.createLinearGradient(0, 0, 0, groundY);
+  g.addColorStop(0,   sky.sky[0]);
+  g.addColorStop(0.6, sky.sky[1]);
+  g.addColorStop(1,   sky.sky[2]);
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, w, groundY);
+}
+
+// Stars are bucketed by brightness so each bucket is a single fill
+const STAR_LEVELS = 8;
+
+// count: how many of the stars to draw (lowered by adaptive quality)
+export function drawStars(ctx, stars, t, brightness, count = stars.length) {
+  if (brightness <= 0) return;
+  const paths = Array.from({ length: STAR_LEVELS }, () => new Path2D());
+  for (let i = 0; i < count; i++) {
+    const s     = stars[i];
+    const alpha = brightness * s.a * (0.65 + 0.35 * Math.sin(t * 0.001 * s.tw + s.tp));
+    const path  = paths[Math.min(STAR_LEVELS - 1, Math.floor(alpha * STAR_LEVELS))];
+    path.moveTo(s.x + s.r, s.y);
+    path.arc(s.x, s.y, s.r, 0, Math.PI * 2);
+  }
+  paths.forEach((path, i) => {
+    ctx.fillStyle = `rgba(255,255,255,${((i + 0.5) / STAR_LEVELS).toFixed(2)})`;
+    ctx.fill(path);
+  });
+}
+
+// Window lighting is snapped to steps so dusk and dawn repaint a layer a
+// few dozen times rather than every frame
+const LIGHT_STEPS = 20;
+
+// detail: { windows, glow } from the current quality level
+function layerCanvas(layer, sky, detail) {
+  const lights = Math.round(sky.lights * LIGHT_STEPS) / LIGHT_STEPS;
+  const key    = `${sky.city}|${lights}|${detail.windows}|${detail.glow}`;
+  if (layer.cache?.key === key) return layer.cache.canvas;
+
+  const canvas  = layer.cache?.canvas ?? document.createElement('canvas');
+  canvas.width  = layer.totalW;
+  canvas.height = layer.maxH;
+  const ctx = canvas.getContext('2d');
+  layer.buildings.forEach(b => {
+    const by = layer.maxH - b.bh;
+    ctx.fillStyle = sky.city;
+    ctx.fillRect(b.x, by, b.bw, b.bh);
+    if (!detail.windows) return;
+    b.windows.forEach(win => {
+      if (win.on >= lights) return;
+      const wx = b.x + win.c * b.colW + 3;
+      const wy = by + win.f * b.floorH + 3;
+      ctx.fillStyle = '#f4c540';
+      ctx.fillRect(wx, wy, 5, 7);
+      if (!detail.glow) return;
+      ctx.fillStyle = 'rgba(244,197,64,0.12)';
+      ctx.fillRect(wx - 2, wy - 2, 9, 11);
+    });
+  });
+  layer.cache = { key, canvas };
+  return canvas;
+}
+
+// w: playfield width the layer repeats across
+export function drawLayer(ctx, layer, offset, w, groundY, alpha, sky, detail) {
+  const { totalW } = layer;
+  if (totalW === 0) return;
+  const canvas = layerCanvas(layer, sky, detail);
+  ctx.globalAlpha = alpha;
+  for (let x = -(offset % totalW); x < w; x += totalW) {
+    ctx.drawImage(canvas, Math.round(x), groundY - layer.maxH);
+  }
+  ctx.globalAlpha = 1;
+}
+
+// Forces the layers to repaint on their next draw (the canvas was resized)
+export function clearLayerCache(...layers) {
+  layers.forEach(layer => { layer.cache = null; });
+}
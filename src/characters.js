@@ -0,0 +1,55 @@
+import { ATLASES } from './sprite';
+import { scalePhysics } from './sim';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Playable characters
+//  Each runner is a sprite atlas (which also carries its hitbox profile)
+//  plus optional stat multipliers on the physics settings. Locked
+//  characters unlock once the endless best ('da_hi') reaches unlockScore.
+// ─────────────────────────────────────────────────────────────────────────
+const CHARACTER_KEY = 'da_character';
+
+export const CHARACTERS = [
+  {
+    id: 'runner', name: 'RUNNER', atlas: 'runner', unlockScore: 0,
+    blurb: 'ALL-ROUNDER',
+  },
+  {
+    id: 'classic', name: 'CLASSIC', atlas: 'classic', unlockScore: 200,
+    blurb: 'SLIM BUILD, FLOATY JUMP',
+    stats: { gravity: 0.9, jumpForce: 0.95 },
+  },
+  {
+    id: 'sprinter', name: 'SPRINTER', atlas: 'sprinter', unlockScore: 500,
+    blurb: 'HEAVY, SNAPPY JUMP',
+    stats: { gravity: 1.15, jumpForce: 1.08 },
+  },
+];
+
+export const DEFAULT_CHARACTER = CHARACTERS[0];
+
+// Unknown ids (e.g. from an older replay) fall back to the default runner
+export function characterById(id) {
+  return CHARACTERS.find(c => c.id === id) ?? DEFAULT_CHARACTER;
+}
+
+export function characterAtlas(character) {
+  return ATLASES[character.atlas];
+}
+
+export function isUnlocked(character, hiScore) {
+  return hiScore >= character.unlockScore;
+}
+
+export function loadCharacter(hiScore) {
+  const c = characterById(localStorage.getItem(CHARACTER_KEY));
+  return isUnlocked(c, hiScore) ? c : DEFAULT_CHARACTER;
+}
+
+export function saveCharacter(character) {
+  localStorage.setItem(CHARACTER_KEY, character.id);
+}
+
+export function characterPhysics(character, physics) {
+  return character.stats ? scalePhysics(physics, `character:${character.id}`, character.stats) : physics;
+}
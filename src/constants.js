@@ -1 +1,6 @@
 export const GROUND_RATIO = 0.76;
+
+// Virtual resolution: the playfield every run is simulated and drawn in,
+// scaled up to the screen by an integer factor where it fits
+export const VIEW_W = 960;
+export const VIEW_H = 540;
@@ -0,0 +1,83 @@
+import { validateObstacle, LevelError } from './level';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Player-made obstacles
+//  Same shape as the obstacles in levels/default.json. Kept in localStorage
+//  and shared as { version, obstacles } JSON files.
+// ─────────────────────────────────────────────────────────────────────────
+const CUSTOM_KEY   = 'da_custom_obstacles';
+const FILE_VERSION = 1;
+
+export const CUSTOM_PREFIX = 'custom-';
+
+function validCustom(o, path, issues) {
+  validateObstacle(o, path, issues);
+  if (o && typeof o.id === 'string' && !o.id.startsWith(CUSTOM_PREFIX)) {
+    issues.push(`${path}.id: custom ids must start with "${CUSTOM_PREFIX}"`);
+  }
+}
+
+function validList(list, where) {
+  const issues = [];
+  if (!Array.isArray(list)) issues.push(`${where}: expected a list of obstacles`);
+  else list.forEach((o, i) => validCustom(o, `${where}[${i}]`, issues));
+  return issues;
+}
+
+// The saved obstacles that are still valid → { list, issues }, issues
+// naming the ones left out. Storage keeps them all until the next save.
+export function loadCustomObstacles() {
+  let data;
+  try {
+    data = JSON.parse(localStorage.getItem(CUSTOM_KEY) || '[]');
+  } catch {
+    return { list: [], issues: [`${CUSTOM_KEY}: saved obstacles are not valid JSON`] };
+  }
+  if (!Array.isArray(data)) return { list: [], issues: [`${CUSTOM_KEY}: expected a list of obstacles`] };
+  const list   = [];
+  const issues = [];
+  data.forEach((o, i) => {
+    const before = issues.length;
+    validCustom(o, `${CUSTOM_KEY}[${i}]`, issues);
+    if (issues.length === before) list.push(o);
+  });
+  return { list, issues };
+}
+
+export function saveCustomObstacles(list) {
+  localStorage.setItem(CUSTOM_KEY, JSON.stringify(list));
+}
+
+export function serializeObstacles(list) {
+  return JSON.stringify({ version: FILE_VERSION, obstacles: list }, null, 2);
+}
+
+// Throws a LevelError listing every problem in the file
+export function parseObstacleFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new LevelError(['file is not valid JSON']);
+  }
+  if (!data || data.version !== FILE_VERSION) throw new LevelError([`version: expected ${FILE_VERSION}`]);
+  const issues = validList(data.obstacles, 'obstacles');
+  if (issues.length) throw new LevelError(issues);
+  return data.obstacles;
+}
+
+// New list with `incoming` added, replacing any obstacle with the same id
+export function mergeObstacles(list, incoming) {
+  const ids = new Set(incoming.map(o => o.id));
+  return [...list.filter(o => !ids.has(o.id)), ...incoming];
+}
+
+export function downloadObstacles(list) {
+  const blob = new Blob([serializeObstacles(list)], { type: 'application/json' });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = 'da-obstacles.json';
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,55 @@
+import { seedFromString } from './rng';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Daily challenge
+//  One course per UTC day: the seed comes from the date, so every player
+//  gets the same obstacles, gaps and skyline. Best score and streak are
+//  kept under their own key, separate from the endless 'da_hi'.
+// ─────────────────────────────────────────────────────────────────────────
+const DAILY_KEY = 'da_daily';
+const DAY_MS    = 24 * 60 * 60 * 1000;
+
+export function dailyDate(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+export function dailySeed(date = dailyDate()) {
+  return seedFromString(`daily:${date}`);
+}
+
+function previousDate(date) {
+  return dailyDate(new Date(Date.parse(date) - DAY_MS));
+}
+
+// { date, best, streak } for the last day a daily run was finished
+function loadRecord() {
+  try {
+    const rec = JSON.parse(localStorage.getItem(DAILY_KEY));
+    if (rec && typeof rec.date === 'string') return rec;
+  } catch { /* fall through to an empty record */ }
+  return { date: null, best: 0, streak: 0 };
+}
+
+// Today's best and the current streak, as shown in the HUD
+export function loadDaily(today = dailyDate()) {
+  const rec = loadRecord();
+  const current = rec.date === today || rec.date === previousDate(today);
+  return {
+    best:   rec.date === today ? rec.best : 0,
+    streak: current ? rec.streak : 0,
+  };
+}
+
+export function saveDailyResult(score, today = dailyDate()) {
+  const rec = loadRecord();
+  let next;
+  if (rec.date === today) {
+    next = { date: today, best: Math.max(rec.best, score), streak: rec.streak };
+  } else if (rec.date === previousDate(today)) {
+    next = { date: today, best: score, streak: rec.streak + 1 };
+  } else {
+    next = { date: today, best: score, streak: 1 };
+  }
+  localStorage.setItem(DAILY_KEY, JSON.stringify(next));
+  return loadDaily(today);
+}
@@ -0,0 +1,46 @@
+// ─────────────────────────────────────────────────────────────────────────
+//  Day / night cycle
+//  Time of day follows distance run, so a run starts at night and passes
+//  through dawn, day and dusk back into night every CYCLE_PX of ground.
+//  Keyframes blend linearly; sky colours are gradient stops top → horizon.
+// ─────────────────────────────────────────────────────────────────────────
+export const CYCLE_PX = 90000;
+
+// at      position in the cycle (0–1)
+// sky     gradient stops at 0, 0.6 and 1 of the sky height
+// stars   star brightness (0–1)
+// lights  share of windows lit (0–1)
+// city    building fill
+const KEYFRAMES = [
+  { at: 0,    sky: ['#0b0920', '#171232', '#201a45'], stars: 1,    lights: 0.75, city: '#080717' },
+  { at: 0.4,  sky: ['#0b0920', '#171232', '#201a45'], stars: 1,    lights: 0.6,  city: '#080717' },
+  { at: 0.5,  sky: ['#2a2456', '#6a4a86', '#f0906a'], stars: 0.3,  lights: 0.35, city: '#1a1530' },
+  { at: 0.6,  sky: ['#3c6fb0', '#7fb0dc', '#cfe4f0'], stars: 0,    lights: 0.05, city: '#2a3050' },
+  { at: 0.78, sky: ['#3c6fb0', '#7fb0dc', '#cfe4f0'], stars: 0,    lights: 0.05, city: '#2a3050' },
+  { at: 0.88, sky: ['#2a1e50', '#a0487a', '#f8a050'], stars: 0.25, lights: 0.45, city: '#1a1228' },
+  { at: 1,    sky: ['#0b0920', '#171232', '#201a45'], stars: 1,    lights: 0.75, city: '#080717' },
+];
+
+const hexRgb = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+function mixColor(a, b, t) {
+  const ca = hexRgb(a), cb = hexRgb(b);
+  return `rgb(${ca.map((c, i) => Math.round(c + (cb[i] - c) * t)).join(',')})`;
+}
+
+const mix = (a, b, t) => a + (b - a) * t;
+
+// Sky, star, window and building settings at a distance
+export function skyAt(distance) {
+  const pos = (distance % CYCLE_PX) / CYCLE_PX;
+  let i = 0;
+  while (pos > KEYFRAMES[i + 1].at) i++;
+  const a = KEYFRAMES[i], b = KEYFRAMES[i + 1];
+  const t = (pos - a.at) / (b.at - a.at);
+  return {
+    sky:    a.sky.map((c, j) => mixColor(c, b.sky[j], t)),
+    stars:  mix(a.stars, b.stars, t),
+    lights: mix(a.lights, b.lights, t),
+    city:   mixColor(a.city, b.city, t),
+  };
+}
@@ -0,0 +1,52 @@
+import { GROUND_RATIO } from './constants';
+import { createState, step } from './sim';
+import { createPlayer, applyReplayInputs, parseReplay, serializeReplay } from './replay';
+import { levelWithObstacles } from './level';
+import { characterById, characterAtlas } from './characters';
+import { weatherById } from './weather';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Ghost runner
+//  The personal-best run is kept as a replay and re-simulated alongside the
+//  live run. Only its runner is drawn, offset by how far ahead or behind it
+//  is, so the player can race it.
+// ─────────────────────────────────────────────────────────────────────────
+const GHOST_KEY = 'da_ghost';
+
+export function loadGhost() {
+  const text = localStorage.getItem(GHOST_KEY);
+  if (!text) return null;
+  try {
+    const replay = parseReplay(text);
+    replay.level = levelWithObstacles(replay.custom);
+    return replay;
+  } catch {
+    localStorage.removeItem(GHOST_KEY);
+    return null;
+  }
+}
+
+export function saveGhost(rec) {
+  localStorage.setItem(GHOST_KEY, serializeReplay(rec));
+}
+
+// sprites: atlas id → { masks } for the loaded sprite sheets
+export function createGhost(replay, sprites) {
+  const atlas = characterAtlas(characterById(replay.character));
+  const g = createState({
+    w: replay.w, h: replay.h, gndY: Math.floor(replay.h * GROUND_RATIO), atlas,
+    physics: replay.physics, seed: replay.seed, masks: replay.pixel ? sprites[atlas.id]?.masks ?? null : null,
+    level: replay.level ?? levelWithObstacles(replay.custom),
+    weather: weatherById(replay.weather), weatherFx: !!replay.weatherFx,
+  });
+  g.phase = 'playing';
+  return { g, player: createPlayer(replay) };
+}
+
+// Steps the ghost in lock-step with the live run; it stops where it crashed
+export function stepGhost(ghost) {
+  if (ghost.g.phase !== 'playing') return;
+  applyReplayInputs(ghost.g, ghost.player);
+  step(ghost.g, ghost.player.physics);
+  ghost.g.events.length = 0; // the ghost is silent
+}
@@ -0,0 +1,119 @@
+// ─────────────────────────────────────────────────────────────────────────
+//  Input bindings
+//  Keys (KeyboardEvent.code, so a binding sits on the same physical key
+//  whatever the layout) and gamepad buttons (standard mapping indices)
+//  for each action. Remapped in Settings and kept in 'da_bindings'.
+//  Gamepads have no events for buttons, so the game loop polls them.
+// ─────────────────────────────────────────────────────────────────────────
+const BINDINGS_KEY = 'da_bindings';
+
+export const ACTIONS = [
+  { id: 'jump',  label: 'JUMP'  },
+  { id: 'slide', label: 'SLIDE' },
+  { id: 'pause', label: 'PAUSE' },
+  { id: 'read',  label: 'READ'  }, // the billboard beside the runner (portfolio.js)
+];
+
+export const DEFAULT_BINDINGS = {
+  keys: {
+    jump:  ['Space', 'ArrowUp', 'KeyW'],
+    slide: ['ArrowDown', 'KeyS'],
+    pause: ['Escape', 'KeyP'],
+    read:  ['KeyE'],
+  },
+  pad: {
+    jump:  [0, 12], // A, d-pad up
+    slide: [1, 13], // B, d-pad down
+    pause: [9],     // start
+    read:  [3],     // Y
+  },
+};
+
+const isCode   = v => typeof v === 'string' && v !== '';
+const isButton = v => Number.isInteger(v) && v >= 0;
+
+export function loadBindings() {
+  let data;
+  try {
+    data = JSON.parse(localStorage.getItem(BINDINGS_KEY));
+  } catch {
+    data = null;
+  }
+  // An action missing from the save (e.g. one added since) gets its
+  // defaults, less any the player has already put on another action
+  const pick = (device, valid) => {
+    const saved = Object.fromEntries(ACTIONS.map(({ id }) => {
+      const list = data?.[device]?.[id];
+      return [id, Array.isArray(list) && list.every(valid) ? list : null];
+    }));
+    const taken = Object.values(saved).flatMap(list => list ?? []);
+    return Object.fromEntries(ACTIONS.map(({ id }) =>
+      [id, saved[id] ?? DEFAULT_BINDINGS[device][id].filter(i => !taken.includes(i))]));
+  };
+  return { keys: pick('keys', isCode), pad: pick('pad', isButton) };
+}
+
+export function saveBindings(bindings) {
+  localStorage.setItem(BINDINGS_KEY, JSON.stringify(bindings));
+}
+
+// Binds `input` to `action`, taking it off any other action
+// device: 'keys' or 'pad'
+export function bindInput(bindings, device, action, input) {
+  const map = Object.fromEntries(ACTIONS.map(({ id }) => {
+    const list = bindings[device][id].filter(i => i !== input);
+    return [id, id === action ? [...list, input] : list];
+  }));
+  return { ...bindings, [device]: map };
+}
+
+export function unbindInput(bindings, device, action, input) {
+  return { ...bindings, [device]: { ...bindings[device], [action]: bindings[device][action].filter(i => i !== input) } };
+}
+
+export function actionForKey(bindings, code) {
+  return ACTIONS.find(({ id }) => bindings.keys[id].includes(code))?.id ?? null;
+}
+
+// ─── Labels ───────────────────────────────────────────────────────────────
+const KEY_LABELS = {
+  Space: 'SPACE', Escape: 'ESC', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+};
+
+export function keyLabel(code) {
+  return KEY_LABELS[code] ?? code.replace(/^(Key|Digit)/, '').toUpperCase();
+}
+
+const BUTTON_LABELS = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'SELECT', 'START', 'LS', 'RS',
+  'D-UP', 'D-DOWN', 'D-LEFT', 'D-RIGHT', 'HOME',
+];
+
+export function buttonLabel(index) {
+  return BUTTON_LABELS[index] ?? `BTN ${index}`;
+}
+
+// ─── Gamepads ─────────────────────────────────────────────────────────────
+// Indices of the buttons held on any connected pad
+export function heldButtons() {
+  const held = new Set();
+  for (const pad of navigator.getGamepads?.() ?? []) {
+    pad?.buttons.forEach((b, i) => { if (b.pressed) held.add(i); });
+  }
+  return held;
+}
+
+// Compares with the last poll; returns [{ action, down }] for each action
+// that was pressed or released. held: action id → down, updated in place.
+export function pollGamepads(held, bindings) {
+  const buttons = heldButtons();
+  const changes = [];
+  ACTIONS.forEach(({ id }) => {
+    const down = bindings.pad[id].some(i => buttons.has(i));
+    if (down !== !!held[id]) {
+      held[id] = down;
+      changes.push({ action: id, down });
+    }
+  });
+  return changes;
+}
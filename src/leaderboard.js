@@ -0,0 +1,140 @@
+// ─────────────────────────────────────────────────────────────────────────
+//  Local leaderboard & run statistics
+//  An arcade-style table of the best TABLE_SIZE runs ('da_scores'), each
+//  entered under three-letter initials, and lifetime totals over every run
+//  played ('da_stats'). Both go in one JSON file for export and import.
+//  Assisted runs (see access.js) count towards the totals, not the table;
+//  runs on tuned physics do enter it, with their preset shown.
+//    entry   { initials, score, date, distance, cleared, maxSpeed, preset, mode }
+//    stats   { runs, score, distance, cleared, deaths: { obstacle name: count } }
+//  Distances are in metres, dates ISO strings.
+// ─────────────────────────────────────────────────────────────────────────
+const SCORES_KEY   = 'da_scores';
+const STATS_KEY    = 'da_stats';
+const INITIALS_KEY = 'da_initials';
+
+const RECORDS_VERSION = 1;
+const PX_PER_METRE    = 48; // about one runner height (84 px) per 1.75 m
+
+export const TABLE_SIZE  = 10;
+export const INITIALS_RE = /^[A-Z]{3}$/;
+
+const EMPTY_STATS = { runs: 0, score: 0, distance: 0, cleared: 0, deaths: {} };
+
+const isCount = v => Number.isInteger(v) && v >= 0;
+const isNum   = v => typeof v === 'number' && Number.isFinite(v);
+
+function isEntry(e) {
+  return !!e && typeof e === 'object' &&
+    INITIALS_RE.test(e.initials) && isCount(e.score) && typeof e.date === 'string' &&
+    isCount(e.distance) && isCount(e.cleared) && isNum(e.maxSpeed) &&
+    typeof e.preset === 'string' && typeof e.mode === 'string';
+}
+
+function isStats(s) {
+  return !!s && typeof s === 'object' &&
+    ['runs', 'score', 'distance', 'cleared'].every(k => isCount(s[k])) &&
+    !!s.deaths && typeof s.deaths === 'object' && Object.values(s.deaths).every(isCount);
+}
+
+function readJson(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+}
+
+const byScore = (a, b) => b.score - a.score;
+
+// ─── Table ────────────────────────────────────────────────────────────────
+export function loadScores() {
+  const list = readJson(SCORES_KEY);
+  return Array.isArray(list) ? list.filter(isEntry).sort(byScore).slice(0, TABLE_SIZE) : [];
+}
+
+// What a finished run would go in the table as, before its initials.
+// preset: the name of the Settings physics it ran on (see presets.js)
+export function runSummary(g, preset) {
+  return {
+    score:    Math.floor(g.score),
+    date:     new Date().toISOString(),
+    distance: Math.round(g.gndOff / PX_PER_METRE),
+    cleared:  g.cleared,
+    maxSpeed: Math.round(g.pace * 10) / 10, // the pace only ever rises
+    preset,
+    mode:     g.mode,
+  };
+}
+
+export function qualifies(scores, score) {
+  return score > 0 && (scores.length < TABLE_SIZE || score > scores[scores.length - 1].score);
+}
+
+// Saves and returns the new table; ties go below the runs already in it
+export function addScore(entry) {
+  const scores = [...loadScores(), entry].sort(byScore).slice(0, TABLE_SIZE);
+  localStorage.setItem(SCORES_KEY, JSON.stringify(scores));
+  return scores;
+}
+
+// Last initials entered, offered again next time
+export function loadInitials() {
+  const initials = localStorage.getItem(INITIALS_KEY);
+  return INITIALS_RE.test(initials) ? initials : '';
+}
+
+export function saveInitials(initials) {
+  localStorage.setItem(INITIALS_KEY, initials);
+}
+
+// ─── Lifetime stats ───────────────────────────────────────────────────────
+export function loadStats() {
+  const stats = readJson(STATS_KEY);
+  return isStats(stats) ? stats : EMPTY_STATS;
+}
+
+// Adds a finished run (a runSummary) to the totals; saves and returns them.
+// deathBy: the name of the obstacle that ended it
+export function recordRun(run, deathBy) {
+  const s = loadStats();
+  const stats = {
+    runs:     s.runs + 1,
+    score:    s.score + run.score,
+    distance: s.distance + run.distance,
+    cleared:  s.cleared + run.cleared,
+    deaths:   { ...s.deaths, [deathBy]: (s.deaths[deathBy] ?? 0) + 1 },
+  };
+  localStorage.setItem(STATS_KEY, JSON.stringify(stats));
+  return stats;
+}
+
+// ─── Files ────────────────────────────────────────────────────────────────
+export function downloadRecords(scores, stats) {
+  const data = { version: RECORDS_VERSION, scores, stats };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = `da-records-${new Date().toISOString().slice(0, 10)}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Replaces the saved table and totals with a file's; returns { scores, stats }
+export function importRecords(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('NOT A RECORDS FILE');
+  }
+  if (!data || !isNum(data.version)) throw new Error('NOT A RECORDS FILE');
+  if (data.version > RECORDS_VERSION) throw new Error('UNSUPPORTED RECORDS VERSION');
+  if (!Array.isArray(data.scores) || !data.scores.every(isEntry)) throw new Error('RECORDS SCORES ARE INVALID');
+  if (!isStats(data.stats)) throw new Error('RECORDS STATS ARE INVALID');
+  const scores = [...data.scores].sort(byScore).slice(0, TABLE_SIZE);
+  localStorage.setItem(SCORES_KEY, JSON.stringify(scores));
+  localStorage.setItem(STATS_KEY, JSON.stringify(data.stats));
+  return { scores, stats: data.stats };
+}
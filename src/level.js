@@ -0,0 +1,196 @@
+import defaultLevel from './levels/default.json';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Level definitions
+//  Obstacles and difficulty tiers are plain JSON (see levels/default.json),
+//  checked here when loaded.
+//
+//  Obstacle
+//    id, name      unique id (used by tiers) and display name
+//    rows          bitmap rows of palette indices; 0 = transparent,
+//                  1+ = palette[index - 1]; every row the same length
+//    palette       CSS colours
+//    scale         on-screen px per bitmap cell
+//    lift          px between the ground and the bitmap bottom (default 0)
+//    hang          hangs from cables reaching the top of the screen; the
+//                  cables are part of the hit area (default false)
+//    hitbox        { x, y, w, h } in cells (default: the whole bitmap)
+//    weight        relative spawn chance (default 1; 0 = never alone)
+//    minSpeed      only spawns once the run is at least this fast
+//
+//  Tier — the highest tier whose minScore the run has reached is active
+//    name, minScore
+//    gapScale      multiplier on the physics min/max gap
+//    weights       per-id weight overrides for this tier
+//    clusters      lists of obstacle ids spawned back to back
+//    clusterChance chance that a spawn is a cluster instead of a single
+//    clusterGap    px between obstacles in a cluster
+// ─────────────────────────────────────────────────────────────────────────
+export class LevelError extends Error {
+  constructor(issues) {
+    super(`Invalid level definition:\n${issues.map(i => `  - ${i}`).join('\n')}`);
+    this.name   = 'LevelError';
+    this.issues = issues;
+  }
+}
+
+const isNum   = v => typeof v === 'number' && Number.isFinite(v);
+const isInt   = v => Number.isInteger(v);
+const isColor = v => typeof v === 'string' && v.trim() !== '';
+
+export function validateObstacle(o, path, issues) {
+  if (!o || typeof o !== 'object') {
+    issues.push(`${path}: expected an object`);
+    return;
+  }
+  if (typeof o.id !== 'string' || !o.id) issues.push(`${path}.id: expected a non-empty string`);
+  if (!isInt(o.scale) || o.scale < 1)   issues.push(`${path}.scale: expected a whole number ≥ 1`);
+  if (!Array.isArray(o.palette) || !o.palette.length || !o.palette.every(isColor)) {
+    issues.push(`${path}.palette: expected a non-empty list of colours`);
+  }
+  if (!Array.isArray(o.rows) || !o.rows.length || !Array.isArray(o.rows[0]) || !o.rows[0].length) {
+    issues.push(`${path}.rows: expected a non-empty list of rows`);
+  } else {
+    const cols = o.rows[0].length;
+    const max  = Array.isArray(o.palette) ? o.palette.length : 0;
+    o.rows.forEach((row, ri) => {
+      if (!Array.isArray(row) || row.length !== cols) {
+        issues.push(`${path}.rows[${ri}]: expected ${cols} cells like rows[0]`);
+      } else if (!row.every(c => isInt(c) && c >= 0 && c <= max)) {
+        issues.push(`${path}.rows[${ri}]: cells must be 0–${max} (palette has ${max} colours)`);
+      }
+    });
+    if (o.hitbox !== undefined) {
+      const { x, y, w, h } = o.hitbox ?? {};
+      if (![x, y, w, h].every(isInt) || x < 0 || y < 0 || w < 1 || h < 1 ||
+          x + w > cols || y + h > o.rows.length) {
+        issues.push(`${path}.hitbox: expected { x, y, w, h } cells inside the ${cols}×${o.rows.length} bitmap`);
+      }
+    }
+  }
+  if (o.lift     !== undefined && (!isNum(o.lift) || o.lift < 0))         issues.push(`${path}.lift: expected a number ≥ 0`);
+  if (o.hang     !== undefined && typeof o.hang !== 'boolean')            issues.push(`${path}.hang: expected true or false`);
+  if (o.weight   !== undefined && (!isNum(o.weight) || o.weight < 0))     issues.push(`${path}.weight: expected a number ≥ 0`);
+  if (o.minSpeed !== undefined && (!isNum(o.minSpeed) || o.minSpeed < 0)) issues.push(`${path}.minSpeed: expected a number ≥ 0`);
+}
+
+function validateTier(t, path, ids, issues) {
+  if (!t || typeof t !== 'object') {
+    issues.push(`${path}: expected an object`);
+    return;
+  }
+  if (!isNum(t.minScore) || t.minScore < 0) issues.push(`${path}.minScore: expected a number ≥ 0`);
+  if (t.gapScale      !== undefined && (!isNum(t.gapScale) || t.gapScale <= 0))   issues.push(`${path}.gapScale: expected a number > 0`);
+  if (t.clusterChance !== undefined && (!isNum(t.clusterChance) || t.clusterChance < 0 || t.clusterChance > 1)) {
+    issues.push(`${path}.clusterChance: expected a number from 0 to 1`);
+  }
+  if (t.clusterGap    !== undefined && (!isNum(t.clusterGap) || t.clusterGap < 0)) issues.push(`${path}.clusterGap: expected a number ≥ 0`);
+  if (t.weights !== undefined) {
+    if (!t.weights || typeof t.weights !== 'object') {
+      issues.push(`${path}.weights: expected an object of id → weight`);
+    } else {
+      Object.entries(t.weights).forEach(([id, w]) => {
+        if (!ids.has(id))         issues.push(`${path}.weights.${id}: unknown obstacle id`);
+        if (!isNum(w) || w < 0)   issues.push(`${path}.weights.${id}: expected a number ≥ 0`);
+      });
+    }
+  }
+  if (t.clusters !== undefined) {
+    if (!Array.isArray(t.clusters)) {
+      issues.push(`${path}.clusters: expected a list of id lists`);
+    } else {
+      t.clusters.forEach((c, ci) => {
+        if (!Array.isArray(c) || c.length < 2) {
+          issues.push(`${path}.clusters[${ci}]: expected at least two obstacle ids`);
+        } else {
+          c.filter(id => !ids.has(id)).forEach(id => issues.push(`${path}.clusters[${ci}]: unknown obstacle id "${id}"`));
+        }
+      });
+    }
+  }
+}
+
+// Returns a normalized level or throws a LevelError listing every problem
+export function loadLevel(data) {
+  const issues = [];
+  if (!data || typeof data !== 'object') throw new LevelError(['expected a JSON object']);
+  if (data.version !== 1) issues.push(`version: expected 1, got ${JSON.stringify(data.version)}`);
+
+  const ids = new Set();
+  if (!Array.isArray(data.obstacles) || !data.obstacles.length) {
+    issues.push('obstacles: expected a non-empty list');
+  } else {
+    data.obstacles.forEach((o, i) => {
+      validateObstacle(o, `obstacles[${i}]`, issues);
+      if (o && typeof o.id === 'string') {
+        if (ids.has(o.id)) issues.push(`obstacles[${i}].id: duplicate id "${o.id}"`);
+        ids.add(o.id);
+      }
+    });
+  }
+
+  if (!Array.isArray(data.tiers) || !data.tiers.length) {
+    issues.push('tiers: expected a non-empty list');
+  } else {
+    data.tiers.forEach((t, i) => validateTier(t, `tiers[${i}]`, ids, issues));
+    if (data.tiers[0]?.minScore !== 0) issues.push('tiers[0].minScore: the first tier must start at 0');
+  }
+  if (issues.length) throw new LevelError(issues);
+
+  const obstacles = data.obstacles.map(o => ({
+    lift: 0, hang: false, weight: 1, minSpeed: 0, name: o.id, ...o,
+  }));
+  const byId  = new Map(obstacles.map(o => [o.id, o]));
+  const tiers = [...data.tiers]
+    .sort((a, b) => a.minScore - b.minScore)
+    .map(t => ({
+      name:          t.name ?? `from ${t.minScore}`,
+      minScore:      t.minScore,
+      gapScale:      t.gapScale ?? 1,
+      clusterChance: t.clusterChance ?? 0,
+      clusterGap:    t.clusterGap ?? 24,
+      weights:       t.weights ?? {},
+      clusters:      (t.clusters ?? []).map(c => c.map(id => byId.get(id))),
+    }));
+  return { obstacles, tiers };
+}
+
+export const DEFAULT_LEVEL = loadLevel(defaultLevel);
+
+// The default level with extra (e.g. player-made) obstacles in its pool
+export function levelWithObstacles(extra) {
+  if (!extra?.length) return DEFAULT_LEVEL;
+  return loadLevel({ ...defaultLevel, obstacles: [...defaultLevel.obstacles, ...extra] });
+}
+
+// ─── Spawning ─────────────────────────────────────────────────────────────
+export function currentTier(level, score) {
+  let tier = level.tiers[0];
+  for (const t of level.tiers) if (score >= t.minScore) tier = t;
+  return tier;
+}
+
+function weighted(items, weightOf, rng) {
+  const total = items.reduce((sum, it) => sum + weightOf(it), 0);
+  if (total <= 0) return null;
+  let r = rng() * total;
+  for (const it of items) {
+    r -= weightOf(it);
+    if (r < 0) return it;
+  }
+  return items[items.length - 1];
+}
+
+// The obstacle defs for the next spawn: a cluster or a single obstacle,
+// limited to what the current speed allows
+export function pickSpawn(level, tier, speed, rng) {
+  const fast = def => speed >= def.minSpeed;
+  if (tier.clusters.length && rng() < tier.clusterChance) {
+    const clusters = tier.clusters.filter(c => c.every(fast));
+    if (clusters.length) return clusters[Math.floor(rng() * clusters.length)];
+  }
+  const weightOf = def => (fast(def) ? (tier.weights[def.id] ?? def.weight) : 0);
+  const def = weighted(level.obstacles, weightOf, rng)
+    ?? level.obstacles.reduce((a, b) => (b.minSpeed < a.minSpeed ? b : a));
+  return [def];
+}
@@ -0,0 +1,58 @@
+import { drawSprite } from './sprite';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Runner collision masks
+//  Built once from the keyed sprite sheet, at the size each frame is drawn
+//  on screen, so a mask pixel is exactly a screen pixel. Same { w, h, data }
+//  shape as the obstacle masks in obstacles.js.
+// ─────────────────────────────────────────────────────────────────────────
+const ALPHA_MIN = 128; // scaled edges are soft; count the mostly-opaque half
+
+export function maskKey(frame, h) {
+  return `${frame}@${h}`;
+}
+
+function maskFromCanvas(canvas) {
+  const { width: w, height: h } = canvas;
+  const px   = canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, w, h).data;
+  const data = new Uint8Array(w * h);
+  for (let i = 0; i < data.length; i++) data[i] = px[i * 4 + 3] >= ALPHA_MIN ? 1 : 0;
+  return { w, h, data };
+}
+
+// One mask per pose in the atlas' animations (the dead pose never collides)
+export function buildRunnerMasks(spriteCanvas, atlas) {
+  const masks = new Map();
+  Object.entries(atlas.animations).forEach(([name, anim]) => {
+    if (name === 'dead') return;
+    anim.poses.forEach(({ frame, h }) => {
+      const key = maskKey(frame, h);
+      if (masks.has(key)) return;
+      const oc  = document.createElement('canvas');
+      oc.width  = atlas.w;
+      oc.height = h;
+      drawSprite(oc.getContext('2d'), spriteCanvas, atlas, frame, 0, 0, atlas.w, h);
+      masks.set(key, maskFromCanvas(oc));
+    });
+  });
+  return masks;
+}
+
+// ─── Debug overlay ────────────────────────────────────────────────────────
+// Draws solid mask pixels in one flat colour ([r, g, b, a], 0–255)
+export function drawMask(ctx, mask, x, y, rgba) {
+  mask.debug ??= new Map();
+  const key = rgba.join();
+  let oc = mask.debug.get(key);
+  if (!oc) {
+    oc = document.createElement('canvas');
+    oc.width  = mask.w;
+    oc.height = mask.h;
+    const ox = oc.getContext('2d');
+    const id = ox.createImageData(mask.w, mask.h);
+    mask.data.forEach((on, i) => { if (on) id.data.set(rgba, i * 4); });
+    ox.putImageData(id, 0, 0);
+    mask.debug.set(key, oc);
+  }
+  ctx.drawImage(oc, x, y);
+}
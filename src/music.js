@@ -1,44 +1,65 @@
-const MUSIC_STEP = 60 / 140 / 2; // 8th note at 140 BPM
-
-const MUSIC_MELODY = [
-  523, 659, 784, 659, 523, 659, 587,   0,
-  494, 587, 740, 587, 494, 587, 523,   0,
-  523, 659, 784, 659, 523, 659, 880, 784,
-  698, 659, 587, 523,   0,   0,   0,   0,
-];
-
-const MUSIC_BASS = [
-  131,   0, 165,   0, 196,   0, 165,   0,
-  123,   0, 147,   0, 185,   0, 147,   0,
-  131,   0, 165,   0, 196,   0, 220,   0,
-  175,   0, 131,   0, 196,   0, 131,   0,
-];
-
-function scheduleNote(ctx, freq, type, vol, t, dur) {
-  const osc  = ctx.createOscillator();
-  const gain = ctx.createGain();
-  osc.type = type;
-  osc.frequency.value = freq;
-  gain.gain.setValueAtTime(vol, t);
-  gain.gain.exponentialRampToValueAtTime(0.0001, t + dur * 0.8);
-  osc.connect(gain);
-  gain.connect(ctx.destination);
-  osc.start(t);
-  osc.stop(t + dur);
-}
+import { scheduleNote } from './audio';
 
-export function scheduleMusic(ctx, timerRef, loopStart) {
-  const dur = MUSIC_MELODY.length * MUSIC_STEP;
-  const t   = loopStart ?? ctx.currentTime + 0.05;
-  MUSIC_MELODY.forEach((f, i) => {
-    if (f) scheduleNote(ctx, f, 'square',   0.06, t + i * MUSIC_STEP, MUSIC_STEP);
-  });
-  MUSIC_BASS.forEach((f, i) => {
-    if (f) scheduleNote(ctx, f, 'triangle', 0.05, t + i * MUSIC_STEP, MUSIC_STEP * 1.9);
+// ─────────────────────────────────────────────────────────────────────────
+//  Music sequencer
+//  Plays songs from song.js on the audio engine's music bus. A timer wakes
+//  every TICK_MS and queues the steps falling within the next AHEAD_S of
+//  the audio clock, so timing is sample-accurate however late the timer
+//  runs. While the engine is held (paused) that clock stands still, so
+//  nothing new is queued and the song resumes exactly where it stopped.
+// ─────────────────────────────────────────────────────────────────────────
+const TICK_MS   = 25;
+const AHEAD_S   = 0.12;
+const MAX_TEMPO = 1.3;  // tempo multiplier at top run speed (follow songs)
+
+const stepSeconds = (song, tempo) => 60 / (song.bpm * (song.follow ? tempo : 1)) / song.stepsPerBeat;
+
+function queueStep(m) {
+  const { song, audio } = m;
+  const stepS = stepSeconds(song, m.tempo);
+  song.channels.forEach(ch => {
+    const ev = ch.events[m.pos];
+    if (ev) scheduleNote(audio, audio.music, ch.instrument, ev.freq, m.next, ev.len * stepS);
   });
-  const ms = (t + dur - 0.4 - ctx.currentTime) * 1000;
-  timerRef.current = setTimeout(
-    () => { if (ctx.state === 'running') scheduleMusic(ctx, timerRef, t + dur); },
-    Math.max(0, ms),
-  );
+  m.next += stepS;
+  m.pos++;
+  if (m.pos >= song.length) {
+    if (song.loop) m.pos = 0;
+    else m.song = null;
+  }
+}
+
+function pump(m) {
+  while (m.song && m.next < m.audio.ctx.currentTime + AHEAD_S) queueStep(m);
+}
+
+// ─── Control ──────────────────────────────────────────────────────────────
+// audio: the engine from audio.js
+// m.song / m.pos: the song playing and its next step; m.next is the audio
+// time that step starts at
+export function startMusic(audio) {
+  const m = { audio, song: null, pos: 0, next: audio.ctx.currentTime + 0.05, tempo: 1, timer: null };
+  m.timer = setInterval(() => pump(m), TICK_MS);
+  return m;
+}
+
+// Switches song from the next step; the same song carries on
+export function playSong(m, song) {
+  if (m.song === song) return;
+  m.song = song;
+  m.pos  = 0;
+  m.next = Math.max(m.next, m.audio.ctx.currentTime + 0.05);
+  pump(m);
+}
+
+// progress: 0 at the starting speed, 1 at top speed (anything else that
+// isn't a number keeps the tempo)
+export function setTempo(m, progress) {
+  if (!Number.isFinite(progress)) return;
+  m.tempo = 1 + Math.min(1, Math.max(0, progress)) * (MAX_TEMPO - 1);
+}
+
+// Steps already queued (at most AHEAD_S) still play out
+export function stopMusic(m) {
+  clearInterval(m.timer);
 }
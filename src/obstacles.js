@@ -0,0 +1,137 @@
+// ─────────────────────────────────────────────────────────────────────────
+//  City obstacles
+//  Rendering and collision helpers for obstacle defs loaded by level.js.
+//  Bitmap palette indices: 0 = transparent, 1+ = palette[index - 1]
+// ─────────────────────────────────────────────────────────────────────────
+
+// Inset applied to every obstacle hitbox so grazes don't count
+const HIT_INSET = 4;
+
+const CABLE_W = 2;
+
+// x offsets of a hanging obstacle's cables, relative to its left edge
+function cableOffsets({ rows, scale }) {
+  return [scale / 2 - 1, rows[0].length * scale - scale / 2 - 1];
+}
+
+export function getObstacleSize(def) {
+  return { w: def.rows[0].length * def.scale, h: def.rows.length * def.scale, lift: def.lift ?? 0 };
+}
+
+// Screen-space hit rectangle for a spawned obstacle
+export function getObstacleHitbox(o, groundY, inset = HIT_INSET) {
+  const d   = o.def;
+  const hb  = d.hitbox ?? { x: 0, y: 0, w: d.rows[0].length, h: d.rows.length };
+  const top = groundY - o.lift - o.h;
+  return {
+    left:   o.x + hb.x * d.scale + inset,
+    right:  o.x + (hb.x + hb.w) * d.scale - inset,
+    top:    d.hang ? -Infinity : top + hb.y * d.scale + inset,
+    bottom: top + (hb.y + hb.h) * d.scale - inset,
+  };
+}
+
+// ─── Bitmaps ──────────────────────────────────────────────────────────────
+// Each def is painted once into an offscreen canvas and blitted from then on.
+// Defs are never mutated (the editor swaps in a new object per edit), so the
+// def itself is the cache key.
+// High contrast (accessibility) paints every solid pixel in one bright
+// colour with a dark outline, so obstacles stand out at any time of day.
+const CONTRAST_FILL    = '#ffe14d';
+const CONTRAST_OUTLINE = '#000000';
+const OUTLINE_W        = 2;
+
+let obstacleBitmaps = new WeakMap();
+let contrastBitmaps = new WeakMap();
+
+function paintRows(ctx, { rows, scale }, colorOf, ox = 0, oy = 0) {
+  rows.forEach((row, ri) => {
+    row.forEach((colorIdx, ci) => {
+      if (!colorIdx) return;
+      ctx.fillStyle = colorOf(colorIdx);
+      ctx.fillRect(ox + ci * scale, oy + ri * scale, scale, scale);
+    });
+  });
+}
+
+function getObstacleBitmap(def) {
+  if (obstacleBitmaps.has(def)) return obstacleBitmaps.get(def);
+  const { rows, scale, palette } = def;
+  const canvas  = document.createElement('canvas');
+  canvas.width  = rows[0].length * scale;
+  canvas.height = rows.length * scale;
+  paintRows(canvas.getContext('2d'), def, i => palette[i - 1]);
+  obstacleBitmaps.set(def, canvas);
+  return canvas;
+}
+
+// OUTLINE_W larger than the plain bitmap on every side
+function getContrastBitmap(def) {
+  if (contrastBitmaps.has(def)) return contrastBitmaps.get(def);
+  const { rows, scale } = def;
+  const canvas  = document.createElement('canvas');
+  canvas.width  = rows[0].length * scale + OUTLINE_W * 2;
+  canvas.height = rows.length * scale + OUTLINE_W * 2;
+  const ctx = canvas.getContext('2d');
+  for (let dy = 0; dy <= OUTLINE_W * 2; dy += OUTLINE_W) {
+    for (let dx = 0; dx <= OUTLINE_W * 2; dx += OUTLINE_W) {
+      paintRows(ctx, def, () => CONTRAST_OUTLINE, dx, dy);
+    }
+  }
+  paintRows(ctx, def, () => CONTRAST_FILL, OUTLINE_W, OUTLINE_W);
+  contrastBitmaps.set(def, canvas);
+  return canvas;
+}
+
+// Drops every cached bitmap (the canvas was resized)
+export function clearObstacleBitmaps() {
+  obstacleBitmaps = new WeakMap();
+  contrastBitmaps = new WeakMap();
+}
+
+// contrast: the high-contrast palette instead of the def's own
+export function drawObstacle(ctx, x, groundY, def, contrast = false) {
+  const { rows, scale, palette, lift = 0, hang } = def;
+  const startY = groundY - lift - rows.length * scale;
+  if (hang) {
+    const cables = cableOffsets(def);
+    if (contrast) {
+      ctx.fillStyle = CONTRAST_OUTLINE;
+      cables.forEach(cx => ctx.fillRect(x + cx - OUTLINE_W, 0, CABLE_W + OUTLINE_W * 2, startY));
+    }
+    ctx.fillStyle = contrast ? CONTRAST_FILL : palette[0];
+    cables.forEach(cx => ctx.fillRect(x + cx, 0, CABLE_W, startY));
+  }
+  if (contrast) ctx.drawImage(getContrastBitmap(def), x - OUTLINE_W, startY - OUTLINE_W);
+  else ctx.drawImage(getObstacleBitmap(def), x, startY);
+}
+
+// ─── Collision masks ──────────────────────────────────────────────────────
+// One byte per on-screen pixel, 1 = solid. Built straight from the bitmap.
+const obstacleMasks = new WeakMap();
+
+export function getObstacleMask(def) {
+  if (obstacleMasks.has(def)) return obstacleMasks.get(def);
+  const { rows, scale } = def;
+  const w    = rows[0].length * scale;
+  const h    = rows.length * scale;
+  const data = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      data[y * w + x] = rows[Math.floor(y / scale)][Math.floor(x / scale)] ? 1 : 0;
+    }
+  }
+  const mask = { w, h, data };
+  obstacleMasks.set(def, mask);
+  return mask;
+}
+
+// Solid test in obstacle-local px; y < 0 is above the bitmap, where only
+// a hanging obstacle's cables are solid
+export function obstacleSolidAt(def, lx, ly) {
+  if (ly < 0) {
+    return !!def.hang && cableOffsets(def).some(cx => lx >= cx && lx < cx + CABLE_W);
+  }
+  const m = getObstacleMask(def);
+  return lx >= 0 && lx < m.w && ly < m.h && m.data[ly * m.w + lx] === 1;
+}
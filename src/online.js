@@ -0,0 +1,116 @@
+import { checkRun } from './scoring';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Online leaderboard client
+//  Finished runs go to a shared board through an adapter:
+//    adapter  { submit(run) → Promise<rank>, top(n) → Promise<entry[]> }
+//    run      { name, score, ticks, inputs, coins, boostTicks, physics, mode,
+//               seed, character, weather, version }
+//             (score plus its replay's metadata)
+//    entry    { name, score, mode, character, date }
+//  localAdapter keeps the board in this browser ('da_board'); httpAdapter
+//  talks to a server with the API of server/mock-leaderboard.js:
+//    POST /scores           run → 201 { rank } | 400 { error }
+//    GET  /scores?limit=n   → entry[], best first
+//  Either way a run must pass scoring.js's plausibility check. Builds with
+//  VITE_LEADERBOARD_URL set use that server. Adapters reject with an Error
+//  whose message is fit for the screen.
+// ─────────────────────────────────────────────────────────────────────────
+const BOARD_KEY  = 'da_board';
+const BOARD_SIZE = 100;
+const TIMEOUT_MS = 5000;
+
+export const TOP_N = 5;
+
+const byScore = (a, b) => b.score - a.score;
+
+function isEntry(e) {
+  return !!e && typeof e === 'object' && typeof e.name === 'string' && Number.isInteger(e.score) &&
+    typeof e.mode === 'string' && typeof e.character === 'string' && typeof e.date === 'string';
+}
+
+// A finished run, to submit once it has a name. Only untuned runs go online
+// (see presets.js), so the recorded physics held for the whole run.
+export function onlineRun(g) {
+  return {
+    score:      Math.floor(g.score),
+    ticks:      g.tick,
+    inputs:     g.rec.inputs.length,
+    coins:      g.coins,
+    boostTicks: g.boostTicks,
+    physics:    g.rec.physics,
+    mode:       g.mode,
+    seed:       g.seed,
+    character:  g.character.id,
+    weather:    g.weather.id,
+    version:    g.rec.version,
+  };
+}
+
+// ─── Adapters ─────────────────────────────────────────────────────────────
+export function localAdapter() {
+  const load = () => {
+    try {
+      const list = JSON.parse(localStorage.getItem(BOARD_KEY));
+      return Array.isArray(list) ? list.filter(isEntry).sort(byScore) : [];
+    } catch {
+      return [];
+    }
+  };
+  return {
+    async submit(run) {
+      const problem = checkRun(run);
+      if (problem) throw new Error(problem);
+      const { name, score, mode, character } = run;
+      const entry = { name, score, mode, character, date: new Date().toISOString() };
+      const board = [...load(), entry].sort(byScore); // ties go below
+      localStorage.setItem(BOARD_KEY, JSON.stringify(board.slice(0, BOARD_SIZE)));
+      return board.indexOf(entry) + 1;
+    },
+    async top(n) {
+      return load().slice(0, n);
+    },
+  };
+}
+
+async function request(url, options) {
+  let res;
+  try {
+    res = await fetch(url, { ...options, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  } catch {
+    throw new Error('LEADERBOARD OFFLINE');
+  }
+  const body = await res.json().catch(() => null);
+  if (!res.ok) throw new Error(typeof body?.error === 'string' ? body.error : 'LEADERBOARD ERROR');
+  return body;
+}
+
+export function httpAdapter(baseUrl) {
+  const base = baseUrl.replace(/\/+$/, '');
+  return {
+    async submit(run) {
+      const body = await request(`${base}/scores`, {
+        method:  'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body:    JSON.stringify(run),
+      });
+      if (!Number.isInteger(body?.rank)) throw new Error('LEADERBOARD ERROR');
+      return body.rank;
+    },
+    async top(n) {
+      const list = await request(`${base}/scores?limit=${n}`);
+      if (!Array.isArray(list)) throw new Error('LEADERBOARD ERROR');
+      return list.filter(isEntry);
+    },
+  };
+}
+
+export function boardAdapter(url = import.meta.env.VITE_LEADERBOARD_URL) {
+  return url ? httpAdapter(url) : localAdapter();
+}
+
+// Submits a run, then fetches the board it landed on → { rank, top }
+export async function submitRun(adapter, run, n = TOP_N) {
+  const rank = await adapter.submit(run);
+  return { rank, top: await adapter.top(n) };
+}
@@ -0,0 +1,158 @@
+// ─────────────────────────────────────────────────────────────────────────
+//  Pickups
+//  Commits (coins) and timed power-ups float in the gaps between obstacle
+//  groups. sim.js places them when it spawns a group, moves them with the
+//  track and collects them on touch; this module holds their defs, the
+//  spawn rules and the drawing. Bitmaps use the obstacle format (see
+//  obstacles.js), written as digit strings.
+//    power   which timer in g.power a pickup fills (commits have none)
+//    ticks   how long that power lasts; a second pickup restarts it
+//  Powers: shield (absorbs one hit), doubleJump (one extra jump in the
+//  air), slow (scales g.speed by SLOW_FACTOR, from the next time on the
+//  ground) and multiplier (see scoring.js).
+// ─────────────────────────────────────────────────────────────────────────
+const SECOND = 60; // ticks (sim.js's STEP_MS)
+
+export const SLOW_FACTOR = 0.6;
+
+// ─── Spawn rules ──────────────────────────────────────────────────────────
+// Per gap between obstacle groups, drawn from the run's pickup stream
+const POWER_CHANCE = 0.06;
+const COIN_CHANCE  = 0.22;
+const GAP_MARGIN   = 150; // px kept clear after and before the obstacles
+const COIN_STEP    = 34;  // px between commits in a row
+const COIN_LIFT    = 18;  // a row at running height
+const ARC_LIFT     = 110; // the top of an arc, reached by jumping
+const POWER_LIFT   = 100; // too high to touch without jumping
+
+const rows = strs => strs.map(r => [...r].map(Number));
+
+const COMMIT = {
+  id: 'commit', scale: 3,
+  palette: ['#1a7f37', '#3fb950'],
+  rows: rows([
+    '0011100',
+    '0122210',
+    '1222221',
+    '1222221',
+    '1222221',
+    '0122210',
+    '0011100',
+  ]),
+};
+
+// Power-ups share a look: palette 1 the frame, 2 its backing, 3 the icon
+const powerUp = (id, label, color, ticks, icon) => ({
+  id, power: id, label, color, ticks, scale: 3,
+  palette: [color, '#0a0818', color],
+  rows: rows(icon),
+});
+
+export const POWERS = [
+  powerUp('shield', 'SHIELD', '#4fc3ff', 10 * SECOND, [
+    '111111111',
+    '122222221',
+    '123333321',
+    '123333321',
+    '123333321',
+    '122333221',
+    '122232221',
+    '122222221',
+    '111111111',
+  ]),
+  powerUp('doubleJump', 'DOUBLE JUMP', '#7dff7a', 10 * SECOND, [
+    '111111111',
+    '122232221',
+    '122323221',
+    '123222321',
+    '122232221',
+    '122323221',
+    '123222321',
+    '122222221',
+    '111111111',
+  ]),
+  powerUp('slow', 'SLOW-MO', '#c792ff', 5 * SECOND, [
+    '111111111',
+    '123333321',
+    '122333221',
+    '122232221',
+    '122232221',
+    '122323221',
+    '123333321',
+    '122222221',
+    '111111111',
+  ]),
+  powerUp('multiplier', 'SCORE X2', '#fce060', 10 * SECOND, [
+    '111111111',
+    '122223331',
+    '132322231',
+    '123223331',
+    '132323221',
+    '122223331',
+    '122222221',
+    '122222221',
+    '111111111',
+  ]),
+];
+
+export function getPickupSize(def) {
+  return { w: def.rows[0].length * def.scale, h: def.rows.length * def.scale };
+}
+
+// Pickups for the free stretch of track [left, right), in the coordinates
+// of the obstacles just spawned; an empty list most of the time
+export function placePickups(rng, left, right) {
+  const from = left + GAP_MARGIN;
+  const room = right - GAP_MARGIN - from;
+  const r    = rng();
+  if (r < POWER_CHANCE) {
+    const def = POWERS[Math.floor(rng() * POWERS.length)];
+    const { w } = getPickupSize(def);
+    return room < w ? [] : [{ def, x: from + (room - w) / 2, lift: POWER_LIFT }];
+  }
+  if (r < POWER_CHANCE + COIN_CHANCE) {
+    const { w } = getPickupSize(COMMIT);
+    const arc   = rng() < 0.4;
+    const n     = Math.min(3 + Math.floor(rng() * 3), Math.floor((room - w) / COIN_STEP) + 1);
+    if (n < 2) return [];
+    const x0 = from + (room - (w + (n - 1) * COIN_STEP)) / 2;
+    return Array.from({ length: n }, (_, i) => ({
+      def:  COMMIT,
+      x:    x0 + i * COIN_STEP,
+      lift: arc ? COIN_LIFT + (ARC_LIFT - COIN_LIFT) * Math.sin(Math.PI * (i + 0.5) / n) : COIN_LIFT,
+    }));
+  }
+  return [];
+}
+
+export function getPickupHitbox(p, groundY) {
+  const bottom = groundY - p.lift;
+  return { left: p.x, right: p.x + p.w, top: bottom - p.h, bottom };
+}
+
+// ─── Bitmaps ──────────────────────────────────────────────────────────────
+// Painted once per def, like obstacle bitmaps
+const pickupBitmaps = new Map();
+
+function getPickupBitmap(def) {
+  if (pickupBitmaps.has(def)) return pickupBitmaps.get(def);
+  const { w, h } = getPickupSize(def);
+  const canvas  = document.createElement('canvas');
+  canvas.width  = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d');
+  def.rows.forEach((row, ri) => {
+    row.forEach((colorIdx, ci) => {
+      if (!colorIdx) return;
+      ctx.fillStyle = def.palette[colorIdx - 1];
+      ctx.fillRect(ci * def.scale, ri * def.scale, def.scale, def.scale);
+    });
+  });
+  pickupBitmaps.set(def, canvas);
+  return canvas;
+}
+
+// bob: px the pickup floats up or down this frame
+export function drawPickup(ctx, x, groundY, p, bob = 0) {
+  ctx.drawImage(getPickupBitmap(p.def), x, Math.round(groundY - p.lift - p.h + bob));
+}
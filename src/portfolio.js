@@ -0,0 +1,234 @@
+import portfolioData from './content/portfolio.json';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Portfolio
+//  The site's content — projects, work history and talks — is plain JSON
+//  (see content/portfolio.json), checked here when loaded. Entries with an
+//  `at` go up as billboards on the near skyline as the run's distance score
+//  passes it; the résumé view (ResumeScreen.jsx) lists every entry.
+//
+//  Portfolio
+//    name, role    shown at the top of the résumé
+//    about         a short introduction (Markdown, see below)
+//    entries       list of entries, in résumé order
+//
+//  Entry
+//    id            unique id
+//    kind          project | work | talk
+//    title         the billboard's headline
+//    subtitle      company, venue or stack (optional)
+//    dates         e.g. "2019–2023" (optional)
+//    at            distance score its billboard goes up at (optional; none
+//                  keeps it to the résumé)
+//    body          Markdown: paragraphs split by blank lines, "- " lines
+//                  as bullets, [label](url) links and **bold**
+//    links         [{ label, href }] (optional)
+// ─────────────────────────────────────────────────────────────────────────
+export class PortfolioError extends Error {
+  constructor(issues) {
+    super(`Invalid portfolio:\n${issues.map(i => `  - ${i}`).join('\n')}`);
+    this.name   = 'PortfolioError';
+    this.issues = issues;
+  }
+}
+
+export const KINDS = {
+  project: { label: 'PROJECT', heading: 'PROJECTS', color: '#4fc3ff' },
+  work:    { label: 'WORK',    heading: 'WORK',     color: '#fce060' },
+  talk:    { label: 'TALK',    heading: 'TALKS',    color: '#ff8a65' },
+};
+
+const HREF_RE = /^(https?:\/\/|mailto:)/;
+
+const isText = v => typeof v === 'string' && v.trim() !== '';
+
+function validateEntry(e, path, issues) {
+  if (!e || typeof e !== 'object') {
+    issues.push(`${path}: expected an object`);
+    return;
+  }
+  if (!isText(e.id))    issues.push(`${path}.id: expected a non-empty string`);
+  if (!KINDS[e.kind])   issues.push(`${path}.kind: expected one of ${Object.keys(KINDS).join(', ')}`);
+  if (!isText(e.title)) issues.push(`${path}.title: expected a non-empty string`);
+  if (!isText(e.body))  issues.push(`${path}.body: expected Markdown text`);
+  if (e.subtitle !== undefined && !isText(e.subtitle)) issues.push(`${path}.subtitle: expected a non-empty string`);
+  if (e.dates    !== undefined && !isText(e.dates))    issues.push(`${path}.dates: expected a non-empty string`);
+  if (e.at !== undefined && !(Number.isFinite(e.at) && e.at > 0)) issues.push(`${path}.at: expected a number above 0`);
+  if (e.links !== undefined) {
+    if (!Array.isArray(e.links)) issues.push(`${path}.links: expected a list of { label, href }`);
+    else e.links.forEach((l, i) => {
+      if (!isText(l?.label) || typeof l.href !== 'string' || !HREF_RE.test(l.href)) {
+        issues.push(`${path}.links[${i}]: expected { label, href } with an http(s) or mailto href`);
+      }
+    });
+  }
+}
+
+// Returns a normalized portfolio or throws a PortfolioError listing every problem
+export function loadPortfolio(data) {
+  const issues = [];
+  if (!data || typeof data !== 'object') throw new PortfolioError(['expected a JSON object']);
+  if (data.version !== 1) issues.push(`version: expected 1, got ${JSON.stringify(data.version)}`);
+  if (!isText(data.name))  issues.push('name: expected a non-empty string');
+  if (!isText(data.role))  issues.push('role: expected a non-empty string');
+  if (!isText(data.about)) issues.push('about: expected Markdown text');
+
+  const ids = new Set();
+  if (!Array.isArray(data.entries)) {
+    issues.push('entries: expected a list');
+  } else {
+    data.entries.forEach((e, i) => {
+      validateEntry(e, `entries[${i}]`, issues);
+      if (e && typeof e.id === 'string') {
+        if (ids.has(e.id)) issues.push(`entries[${i}].id: duplicate id "${e.id}"`);
+        ids.add(e.id);
+      }
+    });
+  }
+  if (issues.length) throw new PortfolioError(issues);
+
+  const entries = data.entries.map(e => ({ subtitle: null, dates: null, at: null, links: [], ...e }));
+  return {
+    name:       data.name,
+    role:       data.role,
+    about:      data.about,
+    entries,
+    billboards: entries.filter(e => e.at !== null).sort((a, b) => a.at - b.at),
+  };
+}
+
+export const PORTFOLIO = loadPortfolio(portfolioData);
+
+// ─── Markdown ─────────────────────────────────────────────────────────────
+// Just enough for entry bodies. Returns blocks:
+//   { para: span[] } | { list: span[][] }
+// span: { text, href?, strong? }
+const INLINE_RE = /\[([^\]]+)\]\(([^)\s]+)\)|\*\*([^*]+)\*\*/g;
+
+function parseInline(text) {
+  const spans = [];
+  let last = 0;
+  for (const m of text.matchAll(INLINE_RE)) {
+    if (m.index > last) spans.push({ text: text.slice(last, m.index) });
+    if (m[3] !== undefined)     spans.push({ text: m[3], strong: true });
+    else if (HREF_RE.test(m[2])) spans.push({ text: m[1], href: m[2] });
+    else                         spans.push({ text: m[1] }); // only web and mail links
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) spans.push({ text: text.slice(last) });
+  return spans;
+}
+
+export function parseMarkdown(text) {
+  return text.split(/\n\s*\n/).map(block => {
+    const lines = block.split('\n').map(l => l.trim()).filter(Boolean);
+    return lines.every(l => l.startsWith('- '))
+      ? { list: lines.map(l => parseInline(l.slice(2))) }
+      : { para: parseInline(lines.join(' ')) };
+  }).filter(b => (b.list ?? b.para).length);
+}
+
+// ─── Billboards ───────────────────────────────────────────────────────────
+// Billboards ride the near skyline layer: one goes up at the right edge
+// when the run passes its entry's `at` and scrolls off with the layer. They
+// are drawn only and kept on the run's state by Game, not by the sim, so
+// replays stay as they were. Jumping into an unread one, or pressing the
+// read key beside one, opens its entry.
+const BOARD_W     = 150;
+const BOARD_H     = 64;
+const BOARD_LIFT  = 150; // px from the ground to the board, above a standing runner
+const POST_W      = 6;
+const PAD         = 8;
+const READ_RANGE  = 40;  // px either side of the runner a board can be read from
+const READ_ALPHA  = 0.6; // a board already opened
+const LABEL_FONT  = "6px 'Press Start 2P', monospace";
+const TITLE_FONT  = "8px 'Press Start 2P', monospace";
+const TITLE_LINES = 2;
+
+// offset: the near layer's scroll, as drawn (see drawLayer)
+function boardX(b, offset, w) {
+  return w + b.off - offset;
+}
+
+function boardBox(x, groundY) {
+  const bottom = groundY - BOARD_LIFT;
+  return { left: x, right: x + BOARD_W, top: bottom - BOARD_H, bottom };
+}
+
+// Puts up the boards the run has reached and drops those gone off screen.
+// offset as for boardX; called once per frame.
+export function stepBillboards(g, offset) {
+  const due = PORTFOLIO.billboards;
+  while (g.nextBillboard < due.length && due[g.nextBillboard].at <= g.dist) {
+    g.billboards.push({ entry: due[g.nextBillboard], off: offset, read: false });
+    g.nextBillboard += 1;
+  }
+  g.billboards = g.billboards.filter(b => boardX(b, offset, g.w) + BOARD_W > 0);
+}
+
+// The unread board the runner box cb has jumped into, or null
+export function touchedBillboard(g, cb, offset) {
+  return g.billboards.find(b => {
+    if (b.read) return false;
+    const box = boardBox(boardX(b, offset, g.w), g.gndY);
+    return cb.left < box.right && cb.right > box.left && cb.top < box.bottom;
+  }) ?? null;
+}
+
+// The board beside the runner box cb, for the read key, or null
+export function nearbyBillboard(g, cb, offset) {
+  return g.billboards.find(b => {
+    const x = boardX(b, offset, g.w);
+    return cb.left - READ_RANGE < x + BOARD_W && cb.right + READ_RANGE > x;
+  }) ?? null;
+}
+
+// Greedy word wrap to at most `max` lines, the last cut short with "…"
+function wrap(ctx, text, width, max) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/)) {
+    const next = line ? `${line} ${word}` : word;
+    if (!line || ctx.measureText(next).width <= width) {
+      line = next;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  lines.push(line);
+  if (lines.length <= max) return lines;
+  let last = lines[max - 1];
+  while (last && ctx.measureText(`${last}…`).width > width) last = last.slice(0, -1);
+  return [...lines.slice(0, max - 1), `${last}…`];
+}
+
+// hint: text under the board (the read key while the runner is beside it)
+export function drawBillboard(ctx, g, b, offset, hint) {
+  const x    = Math.round(boardX(b, offset, g.w));
+  const box  = boardBox(x, g.gndY);
+  const kind = KINDS[b.entry.kind];
+  ctx.globalAlpha = b.read ? READ_ALPHA : 1;
+  ctx.fillStyle = '#2a2650';
+  ctx.fillRect(x + (BOARD_W - POST_W) / 2, box.bottom, POST_W, BOARD_LIFT);
+  ctx.fillStyle = '#0a0818';
+  ctx.fillRect(x, box.top, BOARD_W, BOARD_H);
+  ctx.strokeStyle = kind.color;
+  ctx.lineWidth   = 2;
+  ctx.strokeRect(x + 1, box.top + 1, BOARD_W - 2, BOARD_H - 2);
+
+  ctx.textBaseline = 'top';
+  ctx.font      = LABEL_FONT;
+  ctx.fillStyle = kind.color;
+  ctx.fillText(kind.label, x + PAD, box.top + PAD);
+  ctx.font      = TITLE_FONT;
+  ctx.fillStyle = '#e0dfff';
+  wrap(ctx, b.entry.title.toUpperCase(), BOARD_W - PAD * 2, TITLE_LINES)
+    .forEach((line, i) => ctx.fillText(line, x + PAD, box.top + PAD + 14 + i * 13));
+  if (hint) {
+    ctx.font      = LABEL_FONT;
+    ctx.fillStyle = '#fce060';
+    ctx.fillText(hint, x + BOARD_W / 2 + POST_W, box.bottom + 8);
+  }
+  ctx.globalAlpha = 1;
+}
@@ -0,0 +1,134 @@
+import { PHYSICS_DEFAULTS } from './sim';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Physics presets
+//  The Settings physics are kept across reloads ('da_physics'), alongside
+//  the player's named presets ('da_presets'). Physics can be shared as a
+//  link: only the values that differ from the defaults go in the URL,
+//  query string or hash alike, e.g.
+//    #preset=MOON+GRAVITY&gravity=0.2&jumpForce=-9
+//  Runs with anything but the default physics are "tuned" and kept apart
+//  from the normal best score.
+// ─────────────────────────────────────────────────────────────────────────
+const PHYSICS_KEY = 'da_physics';
+const PRESETS_KEY = 'da_presets';
+
+// Allowed range of each setting (also the Settings slider bounds)
+export const PHYSICS_RANGES = {
+  gravity:   { min: 0.1,   max: 2,    step: 0.01  },
+  jumpForce: { min: -30,   max: -2,   step: 0.5   },
+  jumpCut:   { min: 0.1,   max: 1,    step: 0.05  },
+  coyoteMs:  { min: 0,     max: 250,  step: 10    },
+  bufferMs:  { min: 0,     max: 250,  step: 10    },
+  initSpeed: { min: 1,     max: 20,   step: 0.5   },
+  maxSpeed:  { min: 5,     max: 50,   step: 1     },
+  speedRate: { min: 0.001, max: 0.05, step: 0.001 },
+  minGap:    { min: 100,   max: 800,  step: 10    },
+  maxGap:    { min: 400,   max: 1600, step: 10    },
+};
+
+export const BUILTIN_PRESETS = [
+  { name: 'DEFAULT', physics: PHYSICS_DEFAULTS },
+  {
+    name: 'MOON GRAVITY',
+    physics: { ...PHYSICS_DEFAULTS, gravity: 0.2, jumpForce: -9, maxSpeed: 16, minGap: 700, maxGap: 1500 },
+  },
+  {
+    name: 'HARD MODE',
+    physics: {
+      ...PHYSICS_DEFAULTS, initSpeed: 8, maxSpeed: 30, speedRate: 0.02,
+      minGap: 340, maxGap: 800, coyoteMs: 40, bufferMs: 60,
+    },
+  },
+];
+
+// Known keys only, each a finite number clamped to its range; anything
+// missing or unusable keeps its default. The start speed and smallest gap
+// are then held to the top speed and largest gap.
+export function sanitizePhysics(data) {
+  const out = { ...PHYSICS_DEFAULTS };
+  if (!data || typeof data !== 'object') return out;
+  Object.entries(PHYSICS_RANGES).forEach(([k, { min, max }]) => {
+    const v = typeof data[k] === 'string' ? parseFloat(data[k]) : data[k];
+    if (typeof v === 'number' && Number.isFinite(v)) out[k] = Math.min(max, Math.max(min, v));
+  });
+  out.initSpeed = Math.min(out.initSpeed, out.maxSpeed);
+  out.minGap    = Math.min(out.minGap, out.maxGap);
+  return out;
+}
+
+// Saved presets can't take a built-in's name (lists are keyed by name)
+export function isBuiltinPreset(name) {
+  return BUILTIN_PRESETS.some(p => p.name === name);
+}
+
+export function samePhysics(a, b) {
+  return Object.keys(PHYSICS_RANGES).every(k => a[k] === b[k]);
+}
+
+export function isDefaultPhysics(physics) {
+  return samePhysics(physics, PHYSICS_DEFAULTS);
+}
+
+// Name of the built-in or saved preset these physics match, else 'CUSTOM'
+export function presetName(physics, saved = []) {
+  return [...BUILTIN_PRESETS, ...saved].find(p => samePhysics(p.physics, physics))?.name ?? 'CUSTOM';
+}
+
+function readJson(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+}
+
+export function loadPhysics() {
+  return sanitizePhysics(readJson(PHYSICS_KEY));
+}
+
+export function savePhysics(physics) {
+  localStorage.setItem(PHYSICS_KEY, JSON.stringify(physics));
+}
+
+// Player-saved presets: [{ name, physics }]
+export function loadPresets() {
+  const list = readJson(PRESETS_KEY);
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(p => typeof p?.name === 'string' && p.name.trim() && !isBuiltinPreset(p.name))
+    .map(p => ({ name: p.name, physics: sanitizePhysics(p.physics) }));
+}
+
+export function savePresets(list) {
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(list));
+}
+
+// ─── Links ────────────────────────────────────────────────────────────────
+export function presetUrl(physics, name) {
+  const params = new URLSearchParams();
+  if (name) params.set('preset', name);
+  Object.keys(PHYSICS_RANGES).forEach(k => {
+    if (physics[k] !== PHYSICS_DEFAULTS[k]) params.set(k, physics[k]);
+  });
+  return `${location.origin}${location.pathname}#${params}`;
+}
+
+// Physics from a shared link ({ name, physics }), or null if the URL
+// carries none. The hash wins over the query string.
+export function presetFromUrl(url) {
+  const params = new URLSearchParams(url.search);
+  new URLSearchParams(url.hash.slice(1)).forEach((v, k) => params.set(k, v));
+  const keys = Object.keys(PHYSICS_RANGES).filter(k => params.has(k));
+  if (!keys.length && !params.has('preset')) return null;
+  const name    = params.get('preset');
+  const builtin = BUILTIN_PRESETS.find(p => p.name === name);
+  const values  = Object.fromEntries(keys.map(k => [k, params.get(k)]));
+  return { name, physics: sanitizePhysics({ ...builtin?.physics, ...values }) };
+}
+
+// Drops the shared settings from the address bar once applied, so later
+// changes aren't overridden by the link on reload
+export function clearPresetUrl() {
+  history.replaceState(null, '', location.pathname);
+}
@@ -0,0 +1,40 @@
+// ─────────────────────────────────────────────────────────────────────────
+//  Adaptive quality
+//  Tracks a running average of frame time and steps the backdrop detail
+//  down while the device can't keep up. It only ever steps down: raising
+//  it again would bring back the load that made frames drop.
+// ─────────────────────────────────────────────────────────────────────────
+
+// stars    share of the star field drawn
+// windows  lit windows on the skyline layers
+// glow     soft halo around each lit window
+export const QUALITY_LEVELS = [
+  { stars: 1,    windows: true,  glow: true  },
+  { stars: 0.5,  windows: true,  glow: false },
+  { stars: 0.25, windows: false, glow: false },
+];
+
+const FRAME_MS  = 1000 / 60;
+const SLOW_MS   = 22;   // average frame time that counts as struggling (~45 fps)
+const SLOW_SPAN = 2000; // ms of struggling before stepping down
+const SMOOTHING = 0.05; // weight of the newest frame in the average
+
+export function createFrameMonitor() {
+  return { avg: FRAME_MS, slowFor: 0, level: 0 };
+}
+
+// dt: ms since the last frame. Returns the quality level to draw with.
+export function trackFrame(mon, dt) {
+  mon.avg += (dt - mon.avg) * SMOOTHING;
+  if (mon.avg > SLOW_MS && mon.level < QUALITY_LEVELS.length - 1) {
+    mon.slowFor += dt;
+    if (mon.slowFor >= SLOW_SPAN) {
+      mon.level++;
+      mon.slowFor = 0;
+      mon.avg     = FRAME_MS; // give the lighter level a fresh start
+    }
+  } else {
+    mon.slowFor = 0;
+  }
+  return QUALITY_LEVELS[mon.level];
+}
@@ -0,0 +1,118 @@
+import { PHYSICS_DEFAULTS, jump, releaseJump, slide, slideTap } from './sim';
+import { sanitizePhysics } from './presets';
+import { validateObstacle } from './level';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Run recording & replay
+//  A run is fully determined by its seed, the physics it started with, the
+//  playfield size (VIEW_W × VIEW_H since version 5), whether pixel-mask
+//  collision was on, the character, the weather and whether its effects
+//  were on, any player-made obstacles in its spawn pool, and the inputs
+//  applied to it. Recorded physics include the character's and weather's
+//  stat tweaks. Inputs are stamped with the sim tick they were applied
+//  before, so playback lands on the same frame. `tuned` flags a run played
+//  with non-default Settings physics (see presets.js).
+// ─────────────────────────────────────────────────────────────────────────
+// Version 3 changed obstacle spawning (level tiers, weights, clusters),
+// version 4 the runner animation timing that mask collision depends on and
+// version 5 fixed the playfield to the virtual resolution (no more resize
+// inputs) and version 6 added pickups, so older replays can no longer be
+// reproduced
+const REPLAY_VERSION = 6;
+const INPUT_TYPES    = ['jump', 'jumpRelease', 'slide', 'slideTap', 'physics'];
+
+export function createRecorder({
+  seed, physics, w, h, pixel, custom = [], character, weather, weatherFx, tuned = false,
+}) {
+  return {
+    version: REPLAY_VERSION, seed, physics, w, h, pixel, custom, character, weather, weatherFx, tuned,
+    inputs: [], score: 0,
+  };
+}
+
+export function recordInput(rec, tick, type, data) {
+  rec.inputs.push({ tick, type, ...data });
+}
+
+// ─── Playback ─────────────────────────────────────────────────────────────
+export function createPlayer(replay) {
+  return { replay, idx: 0, physics: replay.physics };
+}
+
+// Applies every recorded input due before the next step
+export function applyReplayInputs(g, player) {
+  const { inputs } = player.replay;
+  while (player.idx < inputs.length && inputs[player.idx].tick <= g.tick) {
+    const input = inputs[player.idx++];
+    if (input.type === 'jump') {
+      jump(g, player.physics);
+    } else if (input.type === 'jumpRelease') {
+      releaseJump(g, player.physics);
+    } else if (input.type === 'slide') {
+      slide(g, input.on);
+    } else if (input.type === 'slideTap') {
+      slideTap(g);
+    } else if (input.type === 'physics') {
+      player.physics = input.physics;
+    }
+  }
+}
+
+// ─── Files ────────────────────────────────────────────────────────────────
+export function serializeReplay(rec) {
+  return JSON.stringify(rec);
+}
+
+const isNum = v => typeof v === 'number' && Number.isFinite(v);
+
+// Every setting there as a finite number; the values are clamped after
+const isPhysics = p => !!p && typeof p === 'object' && Object.keys(PHYSICS_DEFAULTS).every(k => isNum(p[k]));
+
+function isInput(i) {
+  if (!i || !isNum(i.tick) || !INPUT_TYPES.includes(i.type)) return false;
+  if (i.type === 'physics') return isPhysics(i.physics);
+  if (i.type === 'slide')   return typeof i.on === 'boolean';
+  return true;
+}
+
+// Checked as a level's obstacles are; the run spawns from these
+function validCustoms(list) {
+  const issues = [];
+  list.forEach((o, i) => validateObstacle(o, `custom[${i}]`, issues));
+  return issues.length === 0;
+}
+
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('NOT A REPLAY FILE');
+  }
+  if (!data || !isNum(data.version)) throw new Error('NOT A REPLAY FILE');
+  if (data.version < REPLAY_VERSION) throw new Error('REPLAY IS FROM AN OLDER VERSION');
+  if (data.version > REPLAY_VERSION) throw new Error('UNSUPPORTED REPLAY VERSION');
+  if (!isNum(data.seed) || !isNum(data.w) || !isNum(data.h)) throw new Error('REPLAY IS MISSING SEED OR SIZE');
+  if (!isPhysics(data.physics)) throw new Error('REPLAY PHYSICS ARE INVALID');
+  if (data.custom !== undefined && !(Array.isArray(data.custom) && validCustoms(data.custom))) throw new Error('REPLAY OBSTACLES ARE INVALID');
+  if (data.character !== undefined && typeof data.character !== 'string') throw new Error('REPLAY CHARACTER IS INVALID');
+  if (data.weather !== undefined && typeof data.weather !== 'string')     throw new Error('REPLAY WEATHER IS INVALID');
+  if (data.tuned !== undefined && typeof data.tuned !== 'boolean')         throw new Error('REPLAY FLAGS ARE INVALID');
+  if (!Array.isArray(data.inputs) || !data.inputs.every(isInput)) throw new Error('REPLAY INPUTS ARE INVALID');
+  // Physics are held to the Settings ranges, as saved physics are
+  return {
+    ...data,
+    physics: sanitizePhysics(data.physics),
+    inputs:  data.inputs.map(i => (i.type === 'physics' ? { ...i, physics: sanitizePhysics(i.physics) } : i)),
+  };
+}
+
+export function downloadReplay(rec) {
+  const blob = new Blob([serializeReplay(rec)], { type: 'application/json' });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = `da-replay-${rec.seed.toString(16)}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
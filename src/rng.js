@@ -0,0 +1,41 @@
+// ─────────────────────────────────────────────────────────────────────────
+//  Seeded PRNG (mulberry32)
+//  Small and fast; plenty for level generation. Every random decision that
+//  affects a run draws from one of these so the run can be replayed.
+// ─────────────────────────────────────────────────────────────────────────
+export function makeRng(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fresh seed for a new run — the only place Math.random is still used
+export function randomSeed() {
+  return (Math.random() * 4294967296) >>> 0;
+}
+
+// Independent sub-streams (skyline, stars, …) derived from one run seed
+export const SEED_SKYLINE   = 0x9e3779b9;
+export const SEED_STARS     = 0x85ebca6b;
+export const SEED_WEATHER   = 0xc2b2ae35;
+export const SEED_PARTICLES = 0x27d4eb2f;
+export const SEED_PICKUPS   = 0x165667b1;
+
+export function subSeed(seed, salt) {
+  return (seed ^ salt) >>> 0;
+}
+
+// FNV-1a — turns a string (e.g. a date) into a stable 32-bit seed
+export function seedFromString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h  = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
@@ -0,0 +1,65 @@
+// ─────────────────────────────────────────────────────────────────────────
+//  Score curve & run plausibility
+//  Every tick the distance score grows with the pace, and the pace only
+//  depends on the distance score, so that part of a run's score follows
+//  from its length in ticks and its physics alone. On top come bonus
+//  points from pickups (see pickups.js): COIN_POINTS per commit collected,
+//  and SCORE_MULT times the distance gain while the multiplier is up. The
+//  online leaderboard (online.js and the mock server) replays the curve
+//  and bounds the bonus to turn away made-up scores. This module imports
+//  nothing so the mock server can load it straight from Node.
+// ─────────────────────────────────────────────────────────────────────────
+const TICK_MS    = 1000 / 60; // sim.js's STEP_MS
+const SCORE_RATE = 0.009;
+
+export const SCORE_MULT  = 2;
+export const COIN_POINTS = 3;
+
+// ─── Plausibility limits ──────────────────────────────────────────────────
+const MAX_TICKS       = 60 * 60 * 60 * 2; // two hours of play
+const SPEED_CAP       = 50;               // px/tick; the MAX slider's top
+const SCORE_TOLERANCE = 0.01;             // of the expected score
+const MAX_COIN_RATE   = 0.25;             // per tick, above what spawns
+const NAME_RE         = /^[A-Z]{3}$/;     // initials, as in leaderboard.js
+
+export const scoreGain = speed => speed * TICK_MS * SCORE_RATE * 0.1;
+
+export function speedAt(score, physics) {
+  return Math.min(physics.maxSpeed, physics.initSpeed + score * physics.speedRate);
+}
+
+// Distance score after `ticks` ticks of play on unchanging physics
+export function scoreAfter(ticks, physics) {
+  let score = 0;
+  let speed = physics.initSpeed;
+  for (let i = 0; i < ticks; i++) {
+    score += scoreGain(speed);
+    speed  = speedAt(score, physics);
+  }
+  return score;
+}
+
+const isCount = v => Number.isInteger(v) && v >= 0;
+const isNum   = v => typeof v === 'number' && Number.isFinite(v);
+
+// Why a submitted run (see online.js) can't be taken as played, or null
+export function checkRun(run) {
+  if (!run || typeof run !== 'object') return 'NOT A RUN';
+  const { name, score, ticks, inputs, coins, boostTicks, physics, mode, character } = run;
+  if (typeof name !== 'string' || !NAME_RE.test(name)) return 'NAME MUST BE 3 LETTERS';
+  if (![score, ticks, inputs, coins, boostTicks].every(isCount)) return 'RUN IS INVALID';
+  if (typeof mode !== 'string' || typeof character !== 'string') return 'RUN IS INVALID';
+  if (ticks > MAX_TICKS || boostTicks > ticks || coins > ticks * MAX_COIN_RATE) return 'RUN IS NOT PLAUSIBLE';
+  if (!physics || !['initSpeed', 'maxSpeed', 'speedRate'].every(k => isNum(physics[k]))) {
+    return 'RUN PHYSICS ARE INVALID';
+  }
+  const { initSpeed, maxSpeed, speedRate } = physics;
+  if (initSpeed <= 0 || maxSpeed < initSpeed || maxSpeed > SPEED_CAP || speedRate < 0) {
+    return 'RUN PHYSICS ARE NOT PLAUSIBLE';
+  }
+  const expected = scoreAfter(ticks, physics);
+  const maxBonus = coins * COIN_POINTS + boostTicks * scoreGain(maxSpeed) * (SCORE_MULT - 1);
+  const slack    = 1 + expected * SCORE_TOLERANCE;
+  if (score < expected - slack || score > expected + maxBonus + slack) return 'SCORE IS NOT PLAUSIBLE';
+  return null;
+}
@@ -0,0 +1,57 @@
+import { scheduleNote } from './audio';
+import { noteFreq } from './song';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Sound effects
+//  Each cue is a few notes on an instrument in the same format as songs
+//  (see song.js), played on the audio engine's SFX bus. Cues are named
+//  after the sim events that trigger them (g.events, see sim.js).
+//    notes   [note, start s, held s]
+// ─────────────────────────────────────────────────────────────────────────
+const SFX = {
+  jump: {
+    instrument: { wave: 'square', volume: 0.07, attack: 0.002, decay: 0.1, sustain: 0, release: 0.02, drop: 2 },
+    notes: [['E5', 0, 0.05]],
+  },
+  land: {
+    instrument: { wave: 'noise', volume: 0.12, attack: 0.001, decay: 0.05, sustain: 0, release: 0.01,
+      filter: { type: 'lowpass', freq: 500 } },
+    notes: [['A4', 0, 0.03]],
+  },
+  milestone: {
+    instrument: { wave: 'square', volume: 0.05, attack: 0.002, decay: 0.08, sustain: 0.4, release: 0.05 },
+    notes: [['C6', 0, 0.06], ['E6', 0.07, 0.06], ['G6', 0.14, 0.12]],
+  },
+  nearMiss: {
+    instrument: { wave: 'noise', volume: 0.1, attack: 0.04, decay: 0.14, sustain: 0, release: 0.02,
+      filter: { type: 'bandpass', freq: 2600 } },
+    notes: [['A4', 0, 0.1]],
+  },
+  coin: {
+    instrument: { wave: 'square', volume: 0.05, attack: 0.002, decay: 0.06, sustain: 0.3, release: 0.03 },
+    notes: [['B5', 0, 0.04], ['E6', 0.05, 0.08]],
+  },
+  powerUp: {
+    instrument: { wave: 'triangle', volume: 0.12, attack: 0.005, decay: 0.1, sustain: 0.5, release: 0.05 },
+    notes: [['C5', 0, 0.05], ['G5', 0.05, 0.05], ['C6', 0.1, 0.05], ['G6', 0.15, 0.1]],
+  },
+  shieldHit: {
+    instrument: { wave: 'noise', volume: 0.14, attack: 0.002, decay: 0.2, sustain: 0, release: 0.05,
+      filter: { type: 'highpass', freq: 1800 } },
+    notes: [['A4', 0, 0.15]],
+  },
+  gameover: {
+    instrument: { wave: 'sawtooth', volume: 0.08, attack: 0.005, decay: 0.45, sustain: 0, release: 0.05, drop: 0.25 },
+    notes: [['A4', 0, 0.3]],
+  },
+};
+
+// Unknown events have no sound
+export function playSfx(audio, event) {
+  const cue = SFX[event];
+  if (!cue) return;
+  const t = audio.ctx.currentTime;
+  cue.notes.forEach(([note, at, dur]) => {
+    scheduleNote(audio, audio.sfx, cue.instrument, noteFreq(note), t + at, dur);
+  });
+}
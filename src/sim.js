@@ -0,0 +1,411 @@
+import { CHAR_H, DEFAULT_ATLAS, animate, runnerPose } from './sprite';
+import { getObstacleSize, getObstacleHitbox, obstacleSolidAt } from './obstacles';
+import { DEFAULT_LEVEL, currentTier, pickSpawn } from './level';
+import { maskKey } from './masks';
+import { makeRng, subSeed, SEED_PICKUPS } from './rng';
+import { scoreGain, speedAt, SCORE_MULT, COIN_POINTS } from './scoring';
+import { SLOW_FACTOR, placePickups, getPickupSize, getPickupHitbox } from './pickups';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Fixed-timestep simulation
+//  Everything that affects gameplay lives here and advances in whole
+//  STEP_MS ticks, independent of the display refresh rate. Nothing in this
+//  module touches the DOM or a canvas, so it can be stepped headlessly, and
+//  all randomness comes from the seeded g.rng so a run is reproducible.
+//  Distances are virtual px (VIEW_W × VIEW_H), whatever the screen size.
+//  Moments worth a sound (see sfx.js) or an achievement (achievements.js)
+//  are appended to g.events for the owner of the state to drain: jump,
+//  land, milestone, nearMiss, cleared, topSpeed, coin, powerUp, shieldHit,
+//  gameover.
+// ─────────────────────────────────────────────────────────────────────────
+export const STEP_MS = 1000 / 60;
+
+// ─── Physics / speed ──────────────────────────────────────────────────────
+// Per-tick values in virtual px (tuned for one tick = one 60 Hz frame).
+// How score and speed grow together is in scoring.js.
+const GRAVITY     = 0.62;
+const JUMP_FORCE  = -15;
+const INIT_SPEED  = 5;
+const MAX_SPEED   = 22;
+const SPEED_RATE  = 0.014;
+
+// ─── Obstacle spacing ─────────────────────────────────────────────────────
+const MIN_GAP_PX  = 420;
+const MAX_GAP_PX  = 950;
+
+// ─── Jump feel ────────────────────────────────────────────────────────────
+const JUMP_CUT    = 0.45; // vy multiplier when the button is released early
+const COYOTE_MS   = 80;   // grace period to jump after leaving the ground
+const BUFFER_MS   = 120;  // presses this close to landing jump on landing
+
+// ─── Slide ────────────────────────────────────────────────────────────────
+const SLIDE_TICKS = 36; // length of a swipe-triggered slide
+
+// ─── Events ───────────────────────────────────────────────────────────────
+const MILESTONE    = 100; // score between milestone events
+const NEAR_MISS_PX = 14;  // hitbox clearance that counts as a near miss
+
+export const PHYSICS_DEFAULTS = {
+  gravity:   GRAVITY,
+  jumpForce: JUMP_FORCE,
+  initSpeed: INIT_SPEED,
+  maxSpeed:  MAX_SPEED,
+  speedRate: SPEED_RATE,
+  minGap:    MIN_GAP_PX,
+  maxGap:    MAX_GAP_PX,
+  jumpCut:   JUMP_CUT,
+  coyoteMs:  COYOTE_MS,
+  bufferMs:  BUFFER_MS,
+};
+
+const msToTicks = ms => Math.round(ms / STEP_MS);
+
+// Physics with stat multipliers applied (character, weather, …). Cached per
+// settings object and key, so the same input gives the same object back.
+const scaled = new WeakMap();
+
+export function scalePhysics(physics, key, stats) {
+  let byKey = scaled.get(physics);
+  if (!byKey) scaled.set(physics, byKey = new Map());
+  if (!byKey.has(key)) {
+    const out = { ...physics };
+    Object.entries(stats).forEach(([k, m]) => { out[k] = physics[k] * m; });
+    byKey.set(key, out);
+  }
+  return byKey.get(key);
+}
+
+export function floorY(g) {
+  return g.gndY - CHAR_H + g.atlas.footOff;
+}
+
+// masks: runner collision masks from buildRunnerMasks, or null to fall back
+// to inset bounding boxes (e.g. before the sprite loads, or headless)
+// level: obstacles and difficulty tiers from level.js
+// atlas: the runner's sprite atlas from sprite.js (size, feet, animations)
+// weather: the run's weather from weather.js; weatherFx turns its effects on
+export function createState({
+  w, h, gndY, physics, seed, masks = null, level = DEFAULT_LEVEL, atlas = DEFAULT_ATLAS,
+  weather = null, weatherFx = false,
+}) {
+  const y = gndY - CHAR_H + atlas.footOff;
+  return {
+    w, h, gndY,
+    seed,
+    rng:   makeRng(seed),
+    masks,
+    level,
+    atlas,
+    weather,
+    weatherFx,
+    phase: 'intro',
+    tick:  0,
+    score: 0, // dist + bonus
+    dist:  0, // the distance part of the score (see scoring.js)
+    bonus: 0, // points from pickups
+    pace:  physics.initSpeed, // the speed before slow-motion
+    speed: physics.initSpeed,
+    t:     0,
+
+    char: {
+      x:          110,
+      y,
+      py:         y,
+      vy:         0,
+      grounded:   true,
+      jumpHeld:   false,
+      canCut:     false,
+      coyote:     0,
+      jumpBuffer: 0,
+      sliding:    false,
+      slideHold:  false,
+      slideTimer: 0,
+      airJumped:  false,
+      anim:       'idle',
+      frame:      0,
+      frameTick:  0,
+      bounce:     0,
+    },
+
+    obs:          [],
+    nextGap:      1400,
+    events:       [],
+    cleared:      0,    // obstacles gone past
+    clearedTypes: {},   // obstacle id → how many of those gone past
+    deathBy:      null, // the def of the obstacle that ended the run
+
+    // Pickups (see pickups.js) come from their own stream, so they don't
+    // change the obstacles a seed gives
+    pickups:    [],
+    pickRng:    makeRng(subSeed(seed, SEED_PICKUPS)),
+    power:      { shield: 0, doubleJump: 0, slow: 0, multiplier: 0 }, // ticks left
+    slowed:     false, // slow-motion in effect (see step)
+    coins:      0,
+    boostTicks: 0, // ticks played with the multiplier up
+
+    // Parallax offsets grow without bound; draw code wraps them
+    gndOff:  0,
+    farOff:  0,
+    nearOff: 0,
+    prev:    { gndOff: 0, farOff: 0, nearOff: 0 },
+  };
+}
+
+function launch(g, physics) {
+  const ch = g.char;
+  g.events.push('jump');
+  ch.vy         = physics.jumpForce;
+  ch.grounded   = false;
+  ch.coyote     = 0;
+  ch.jumpBuffer = 0;
+  ch.canCut     = true;
+  ch.sliding    = false;
+  ch.slideTimer = 0;
+  // A buffered press may already have been released
+  if (!ch.jumpHeld) cutJump(ch, physics);
+}
+
+function cutJump(ch, physics) {
+  if (!ch.canCut) return;
+  ch.canCut = false;
+  if (ch.vy < 0) ch.vy *= physics.jumpCut;
+}
+
+// Jump button pressed: jumps when grounded or within coyote time, once
+// more in the air with double jump up, otherwise buffers the press until
+// landing
+export function jump(g, physics) {
+  if (g.phase !== 'playing') return false;
+  const ch = g.char;
+  ch.jumpHeld = true;
+  if (ch.grounded || ch.coyote > 0) {
+    launch(g, physics);
+    return true;
+  }
+  if (g.power.doubleJump > 0 && !ch.airJumped) {
+    ch.airJumped = true;
+    launch(g, physics);
+    return true;
+  }
+  ch.jumpBuffer = msToTicks(physics.bufferMs);
+  return false;
+}
+
+// Jump button released: cuts the rise short for a lower jump
+export function releaseJump(g, physics) {
+  g.char.jumpHeld = false;
+  if (!g.char.grounded) cutJump(g.char, physics);
+}
+
+// Extra slide ticks on wet ground (weather effects)
+const skidTicks = g => (g.weatherFx ? g.weather?.skid ?? 0 : 0);
+
+// Held slide (keyboard): lasts until released, then skids on when wet
+export function slide(g, on) {
+  const ch = g.char;
+  if (!on && ch.slideHold) ch.slideTimer = Math.max(ch.slideTimer, skidTicks(g));
+  ch.slideHold = on;
+}
+
+// Tapped slide (swipe): lasts SLIDE_TICKS
+export function slideTap(g) {
+  if (g.phase !== 'playing') return;
+  g.char.slideTimer = SLIDE_TICKS + skidTicks(g);
+}
+
+// Advances the state by one STEP_MS tick
+export function step(g, physics) {
+  const ch      = g.char;
+  const playing = g.phase === 'playing';
+
+  // Snapshot for render interpolation
+  ch.py = ch.y;
+  g.prev.gndOff  = g.gndOff;
+  g.prev.farOff  = g.farOff;
+  g.prev.nearOff = g.nearOff;
+  g.obs.forEach(o => { o.px = o.x; });
+  g.pickups.forEach(p => { p.px = p.x; });
+
+  if (!playing) {
+    animate(g.atlas, ch, g.phase, STEP_MS, 1);
+    return;
+  }
+
+  const lastMilestone = Math.floor(g.score / MILESTONE);
+  g.tick  += 1;
+  g.t     += STEP_MS;
+  const gain = scoreGain(g.pace);
+  g.dist  += gain;
+  if (g.power.multiplier > 0) {
+    g.bonus      += gain * (SCORE_MULT - 1);
+    g.boostTicks += 1;
+  }
+  g.score  = g.dist + g.bonus;
+  if (Math.floor(g.score / MILESTONE) > lastMilestone) g.events.push('milestone');
+  const wasTop = g.pace >= physics.maxSpeed;
+  g.pace   = speedAt(g.dist, physics);
+  // Slow-motion starts and ends on the ground, so a pickup grabbed mid-air
+  // doesn't shorten the jump over the track
+  if (ch.grounded) g.slowed = g.power.slow > 0;
+  g.speed  = g.slowed ? g.pace * SLOW_FACTOR : g.pace;
+  if (!wasTop && g.pace >= physics.maxSpeed) g.events.push('topSpeed');
+  Object.keys(g.power).forEach(k => { if (g.power[k] > 0) g.power[k] -= 1; });
+
+  g.gndOff  += g.speed;
+  g.farOff  += g.speed * 0.12;
+  g.nearOff += g.speed * 0.38;
+
+  // Physics — slide input while airborne pulls the runner down faster
+  const wantSlide = ch.slideHold || ch.slideTimer > 0;
+  if (ch.slideTimer > 0) ch.slideTimer -= 1;
+  ch.vy += physics.gravity * (wantSlide && !ch.grounded ? 2 : 1);
+  ch.y  += ch.vy;
+  const floor = floorY(g);
+  if (ch.y >= floor) {
+    if (!ch.grounded) g.events.push('land');
+    ch.y         = floor;
+    ch.vy        = 0;
+    ch.grounded  = true;
+    ch.airJumped = false;
+  }
+  if (ch.grounded) {
+    ch.coyote = msToTicks(physics.coyoteMs);
+    if (ch.jumpBuffer > 0) launch(g, physics);
+  } else {
+    if (ch.coyote > 0)     ch.coyote     -= 1;
+    if (ch.jumpBuffer > 0) ch.jumpBuffer -= 1;
+  }
+  ch.sliding = ch.grounded && wantSlide;
+  ch.bounce  = ch.grounded && !ch.sliding ? Math.sin(g.t * 0.012) * 2.5 : 0;
+
+  // Animation follows the new state, so collision tests the pose drawn
+  // (run legs speed up with game speed)
+  animate(g.atlas, ch, g.phase, STEP_MS, g.speed / physics.initSpeed);
+
+  // Spawn obstacles — the next gap counts from a cluster's last obstacle.
+  // Gaps are timed at the pace, so slow-motion keeps them as long in px.
+  g.nextGap -= STEP_MS * (g.speed / g.pace);
+  if (g.nextGap <= 0) {
+    const tier  = currentTier(g.level, g.dist);
+    const group = pickSpawn(g.level, tier, g.pace, g.rng);
+    const x0    = g.w + 60;
+    let x = x0;
+    group.forEach(def => {
+      const sz = getObstacleSize(def);
+      g.obs.push({ x, px: x, def, type: def.id, ...sz });
+      x += sz.w + tier.clusterGap;
+    });
+    const extra = g.obs[g.obs.length - 1].x - x0;
+    const px    = (physics.minGap + g.rng() * (physics.maxGap - physics.minGap)) * tier.gapScale;
+    g.nextGap   = ((px + extra) / g.pace) * STEP_MS;
+
+    // The stretch up to the next group may hold pickups
+    const last = g.obs[g.obs.length - 1];
+    placePickups(g.pickRng, last.x + last.w, x0 + extra + px).forEach(p => {
+      g.pickups.push({ ...p, px: p.x, ...getPickupSize(p.def) });
+    });
+  }
+
+  g.obs.forEach(o => { o.x -= g.speed; });
+  g.obs = g.obs.filter(o => o.x + o.w > -60);
+  g.pickups.forEach(p => { p.x -= g.speed; });
+  g.pickups = g.pickups.filter(p => p.x + p.w > -60);
+
+  // Collision — a shield takes the first hit and lets that obstacle through
+  for (const o of g.obs) {
+    if (o.smashed || !collides(g, o)) continue;
+    if (g.power.shield > 0) {
+      g.power.shield = 0;
+      o.smashed      = true;
+      g.events.push('shieldHit');
+      continue;
+    }
+    g.phase   = 'gameover';
+    g.deathBy = o.def;
+    animate(g.atlas, ch, g.phase, 0, 1);
+    g.events.push('gameover');
+    return;
+  }
+  collectPickups(g);
+  trackNearMisses(g);
+}
+
+// Pickups the runner's hitbox touches are taken
+function collectPickups(g) {
+  const cb = runnerBox(g, runnerPose(g.atlas, g.char), null);
+  g.pickups = g.pickups.filter(p => {
+    if (!boxesOverlap(cb, getPickupHitbox(p, g.gndY))) return true;
+    if (p.def.power) {
+      g.power[p.def.power] = p.def.ticks;
+      g.events.push('powerUp');
+    } else {
+      g.coins += 1;
+      g.bonus += COIN_POINTS;
+      g.score  = g.dist + g.bonus;
+      g.events.push('coin');
+    }
+    return false;
+  });
+}
+
+// Closest hitbox clearance while an obstacle is level with the runner; a
+// near miss (and one more cleared) once it has gone by
+function trackNearMisses(g) {
+  const cb = runnerBox(g, runnerPose(g.atlas, g.char), null);
+  g.obs.forEach(o => {
+    if (o.passed) return;
+    const ob = getObstacleHitbox(o, g.gndY);
+    if (ob.right < cb.left) {
+      o.passed = true;
+      g.cleared += 1;
+      g.clearedTypes[o.def.id] = (g.clearedTypes[o.def.id] ?? 0) + 1;
+      g.events.push('cleared');
+      if (o.clearance < NEAR_MISS_PX && !o.smashed) g.events.push('nearMiss');
+    } else if (ob.left < cb.right) {
+      o.clearance = Math.min(o.clearance ?? Infinity, Math.max(ob.top - cb.bottom, cb.top - ob.bottom));
+    }
+  });
+}
+
+// ─── Collision ────────────────────────────────────────────────────────────
+function boxesOverlap(a, b) {
+  return a.right > b.left && a.left < b.right && a.bottom > b.top && a.top < b.bottom;
+}
+
+// Runner box for the current pose: the whole drawn frame when testing
+// masks, the hand-inset hitbox otherwise
+export function runnerBox(g, pose, mask) {
+  const ch = g.char;
+  if (mask) {
+    const top = ch.y + ch.bounce + pose.dy;
+    return { left: ch.x, right: ch.x + g.atlas.w, top, bottom: top + pose.h };
+  }
+  const hb = ch.sliding ? g.atlas.slideHitbox : g.atlas.hitbox;
+  return { left: ch.x + hb.x, right: ch.x + hb.x + hb.w, top: ch.y + hb.y, bottom: ch.y + hb.y + hb.h };
+}
+
+export function collides(g, o) {
+  const pose = runnerPose(g.atlas, g.char);
+  const mask = g.masks?.get(maskKey(pose.frame, pose.h));
+  const cb   = runnerBox(g, pose, mask);
+  const ob   = getObstacleHitbox(o, g.gndY, mask ? 0 : undefined);
+  if (!boxesOverlap(cb, ob)) return false;
+  if (!mask) return true;
+
+  // Pixel test over the overlap of the two boxes
+  const sx = Math.round(cb.left), sy = Math.round(cb.top);
+  const ox = Math.round(o.x),     oy = Math.round(g.gndY - o.lift - o.h);
+  const x0 = Math.round(Math.max(cb.left, ob.left)),     x1 = Math.round(Math.min(cb.right, ob.right));
+  const y0 = Math.round(Math.max(cb.top, ob.top)),       y1 = Math.round(Math.min(cb.bottom, ob.bottom));
+  for (let y = y0; y < y1; y++) {
+    const row = (y - sy) * mask.w;
+    for (let x = x0; x < x1; x++) {
+      if (mask.data[row + x - sx] && obstacleSolidAt(o.def, x - ox, y - oy)) return true;
+    }
+  }
+  return false;
+}
+
+export function lerp(a, b, alpha) {
+  return a + (b - a) * alpha;
+}
@@ -0,0 +1,155 @@
+import introSong from './songs/intro.json';
+import runSong from './songs/run.json';
+import gameoverSong from './songs/gameover.json';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Songs
+//  Music is written as small tracker-style JSON files (see songs/*.json),
+//  checked here when loaded and played by the sequencer in music.js.
+//
+//  Song
+//    id, name      unique id and display name
+//    bpm           beats per minute at normal pace
+//    stepsPerBeat  steps per beat (default 2, i.e. eighth notes)
+//    loop          false plays once and stops (default true)
+//    follow        tempo speeds up with the run (default false)
+//    instruments   name → instrument
+//    channels      [{ instrument, steps }]; every channel the same length
+//
+//  Instrument
+//    wave          square | sawtooth | triangle | sine | noise
+//    volume        peak gain (0–1)
+//    attack, decay, release
+//                  envelope times in seconds
+//    sustain       level held after the decay, as a share of volume (0–1)
+//    note          pitch of an "x" hit (default A4)
+//    drop          pitch multiplier reached by the end of the decay, for
+//                  kick drums (optional)
+//    filter        { type, freq } lowpass / highpass / bandpass (optional)
+//
+//  Steps — one string per bar, tokens separated by spaces
+//    C4 F#3 Bb2    start a note
+//    x             hit at the instrument's note (drums)
+//    -             hold the previous note for another step
+//    .             rest
+// ─────────────────────────────────────────────────────────────────────────
+export class SongError extends Error {
+  constructor(issues) {
+    super(`Invalid song:\n${issues.map(i => `  - ${i}`).join('\n')}`);
+    this.name   = 'SongError';
+    this.issues = issues;
+  }
+}
+
+const WAVES   = ['square', 'sawtooth', 'triangle', 'sine', 'noise'];
+const FILTERS = ['lowpass', 'highpass', 'bandpass'];
+const NOTE_RE = /^([A-G])([#b]?)(\d)$/;
+const SEMIS   = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+const isNum  = v => typeof v === 'number' && Number.isFinite(v);
+const isUnit = v => isNum(v) && v >= 0 && v <= 1;
+
+// Note name → Hz (A4 = 440), or null if it isn't one
+export function noteFreq(name) {
+  const m = NOTE_RE.exec(name);
+  if (!m) return null;
+  const midi = 12 * (+m[3] + 1) + SEMIS[m[1]] + (m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0);
+  return 440 * 2 ** ((midi - 69) / 12);
+}
+
+function validateInstrument(inst, path, issues) {
+  if (!inst || typeof inst !== 'object') {
+    issues.push(`${path}: expected an object`);
+    return;
+  }
+  if (!WAVES.includes(inst.wave)) issues.push(`${path}.wave: expected one of ${WAVES.join(', ')}`);
+  if (!isUnit(inst.volume))       issues.push(`${path}.volume: expected a number 0–1`);
+  if (!isUnit(inst.sustain))      issues.push(`${path}.sustain: expected a number 0–1`);
+  ['attack', 'decay', 'release'].forEach(k => {
+    if (!isNum(inst[k]) || inst[k] < 0) issues.push(`${path}.${k}: expected seconds ≥ 0`);
+  });
+  if (inst.note !== undefined && noteFreq(inst.note) === null) issues.push(`${path}.note: expected a note like "C3"`);
+  if (inst.drop !== undefined && (!isNum(inst.drop) || inst.drop <= 0)) issues.push(`${path}.drop: expected a number above 0`);
+  if (inst.filter !== undefined) {
+    const { type, freq } = inst.filter ?? {};
+    if (!FILTERS.includes(type) || !isNum(freq) || freq <= 0) {
+      issues.push(`${path}.filter: expected { type: ${FILTERS.join(' | ')}, freq }`);
+    }
+  }
+}
+
+// Steps → one entry per step: { freq, len } where a note starts, else null
+function parseSteps(bars, inst, path, issues) {
+  const tokens = bars.join(' ').trim().split(/\s+/);
+  const events = [];
+  let last = null;
+  tokens.forEach((tok, i) => {
+    if (tok === '.') {
+      last = null;
+      events.push(null);
+    } else if (tok === '-') {
+      if (last) last.len++;
+      else issues.push(`${path}: step ${i} holds "-" with no note before it`);
+      events.push(null);
+    } else {
+      const freq = noteFreq(tok === 'x' ? inst?.note ?? 'A4' : tok);
+      if (freq === null) issues.push(`${path}: step ${i} "${tok}" is not a note, "x", "-" or "."`);
+      last = { freq, len: 1 };
+      events.push(last);
+    }
+  });
+  return events;
+}
+
+// Returns a normalized song or throws a SongError listing every problem
+export function loadSong(data) {
+  const issues = [];
+  if (!data || typeof data !== 'object') throw new SongError(['expected a JSON object']);
+  if (data.version !== 1) issues.push(`version: expected 1, got ${JSON.stringify(data.version)}`);
+  if (typeof data.id !== 'string' || !data.id) issues.push('id: expected a non-empty string');
+  if (!isNum(data.bpm) || data.bpm <= 0)       issues.push('bpm: expected a number above 0');
+  if (data.stepsPerBeat !== undefined && (!Number.isInteger(data.stepsPerBeat) || data.stepsPerBeat < 1)) {
+    issues.push('stepsPerBeat: expected a whole number ≥ 1');
+  }
+  if (data.loop   !== undefined && typeof data.loop   !== 'boolean') issues.push('loop: expected true or false');
+  if (data.follow !== undefined && typeof data.follow !== 'boolean') issues.push('follow: expected true or false');
+
+  const instruments = data.instruments && typeof data.instruments === 'object' ? data.instruments : {};
+  if (instruments !== data.instruments) issues.push('instruments: expected an object of name → instrument');
+  Object.entries(instruments).forEach(([n, inst]) => validateInstrument(inst, `instruments.${n}`, issues));
+
+  const channels = [];
+  if (!Array.isArray(data.channels) || !data.channels.length) {
+    issues.push('channels: expected a non-empty list of { instrument, steps }');
+  } else {
+    data.channels.forEach((c, i) => {
+      const path = `channels[${i}]`;
+      const inst = instruments[c?.instrument];
+      if (!inst) issues.push(`${path}.instrument: unknown instrument ${JSON.stringify(c?.instrument)}`);
+      if (!Array.isArray(c?.steps) || !c.steps.length || !c.steps.every(b => typeof b === 'string')) {
+        issues.push(`${path}.steps: expected a non-empty list of bar strings`);
+        return;
+      }
+      const events = parseSteps(c.steps, inst, `${path}.steps`, issues);
+      const length = channels[0]?.events.length ?? events.length;
+      if (events.length !== length) issues.push(`${path}.steps: ${events.length} steps, expected ${length} like the first channel`);
+      channels.push({ instrument: inst, events });
+    });
+  }
+  if (issues.length) throw new SongError(issues);
+
+  return {
+    id:           data.id,
+    name:         data.name ?? data.id,
+    bpm:          data.bpm,
+    stepsPerBeat: data.stepsPerBeat ?? 2,
+    loop:         data.loop ?? true,
+    follow:       data.follow ?? false,
+    length:       channels[0].events.length,
+    channels,
+  };
+}
+
+export const SONGS = Object.fromEntries(
+  [introSong, runSong, gameoverSong].map(s => [s.id, loadSong(s)]),
+);
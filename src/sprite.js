@@ -0,0 +1,299 @@
+import runnerAtlas from './sprites/runner.json';
+import classicAtlas from './sprites/classic.json';
+import sprinterAtlas from './sprites/sprinter.json';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Sprite atlases
+//  A character is a sprite sheet plus a JSON manifest (see sprites/*.json),
+//  checked here when loaded. Frames are numbered row by row from the top
+//  left of a grid of equal cells.
+//
+//  Manifest
+//    id, name      unique id and display name
+//    image         URL of the sheet (served from public/)
+//    frameW/H      cell size in sheet px
+//    cols, rows    grid size
+//    chromaKey     { colors, tolerance, contiguous }
+//                  colors     "#rrggbb" background colours to key out
+//                  tolerance  max RGB distance (0–441) from a key colour
+//                  contiguous only key pixels connected to a cell edge, for
+//                             sheets whose key colours also appear inside
+//                             the character (default false)
+//    recolor       [{ from, to, tolerance }] shifts colours near "from"
+//                  towards "to", keeping their shading (optional)
+//    footOffset    empty sheet px below the feet
+//    footOffsets   per-frame overrides, { "<frame>": px }
+//    animations    name → { frames, fps, loop, maxFps, squash }
+//                  frames     frame numbers in play order
+//                  fps        0 holds the first frame (default 10)
+//                  loop       false holds the last frame (default true)
+//                  maxFps     speeds up with the run up to this fps
+//                             (default: fixed at fps)
+//                  squash     drawn height as a fraction of CHAR_H
+//                             (default 1)
+//                  run, jump, slide and dead are required; idle (intro)
+//                  and fall (descending) fall back to run and jump
+//    hitbox        { x, y, w, h } in screen px from the standing sprite's
+//    slideHitbox   top-left, used without masks (default: inset boxes)
+// ─────────────────────────────────────────────────────────────────────────
+
+// On-screen height of a standing frame; width follows each sheet's aspect
+export const CHAR_H = 96;
+
+const REQUIRED_ANIMS = ['run', 'jump', 'slide', 'dead'];
+
+export class AtlasError extends Error {
+  constructor(issues) {
+    super(`Invalid sprite atlas:\n${issues.map(i => `  - ${i}`).join('\n')}`);
+    this.name   = 'AtlasError';
+    this.issues = issues;
+  }
+}
+
+const isNum   = v => typeof v === 'number' && Number.isFinite(v);
+const isInt   = v => Number.isInteger(v);
+const isHex   = v => typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v);
+const hexRgb  = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+function validateBox(b, path, issues) {
+  const { x, y, w, h } = b ?? {};
+  if (![x, y, w, h].every(isNum) || w <= 0 || h <= 0) issues.push(`${path}: expected { x, y, w, h } with w, h > 0`);
+}
+
+function validateAnimation(a, path, frameCount, issues) {
+  if (!a || typeof a !== 'object') {
+    issues.push(`${path}: expected an object`);
+    return;
+  }
+  if (!Array.isArray(a.frames) || !a.frames.length) {
+    issues.push(`${path}.frames: expected a non-empty list of frame numbers`);
+  } else if (!a.frames.every(f => isInt(f) && f >= 0 && f < frameCount)) {
+    issues.push(`${path}.frames: frame numbers must be 0–${frameCount - 1}`);
+  }
+  if (a.fps    !== undefined && (!isNum(a.fps) || a.fps < 0))                   issues.push(`${path}.fps: expected a number ≥ 0`);
+  if (a.maxFps !== undefined && (!isNum(a.maxFps) || a.maxFps < (a.fps ?? 10))) issues.push(`${path}.maxFps: expected a number ≥ fps`);
+  if (a.loop   !== undefined && typeof a.loop !== 'boolean')                    issues.push(`${path}.loop: expected true or false`);
+  if (a.squash !== undefined && (!isNum(a.squash) || a.squash <= 0 || a.squash > 1)) {
+    issues.push(`${path}.squash: expected a number above 0, up to 1`);
+  }
+}
+
+// Returns a normalized atlas or throws an AtlasError listing every problem
+export function loadAtlas(data) {
+  const issues = [];
+  if (!data || typeof data !== 'object') throw new AtlasError(['expected a JSON object']);
+  if (data.version !== 1) issues.push(`version: expected 1, got ${JSON.stringify(data.version)}`);
+  if (typeof data.id !== 'string' || !data.id)       issues.push('id: expected a non-empty string');
+  if (typeof data.image !== 'string' || !data.image) issues.push('image: expected a URL');
+  ['frameW', 'frameH', 'cols', 'rows'].forEach(k => {
+    if (!isInt(data[k]) || data[k] < 1) issues.push(`${k}: expected a whole number ≥ 1`);
+  });
+  const frameCount = data.cols * data.rows;
+
+  const key = data.chromaKey;
+  if (!key || typeof key !== 'object') {
+    issues.push('chromaKey: expected { colors, tolerance }');
+  } else {
+    if (!Array.isArray(key.colors) || !key.colors.length || !key.colors.every(isHex)) {
+      issues.push('chromaKey.colors: expected a non-empty list of "#rrggbb" colours');
+    }
+    if (!isNum(key.tolerance) || key.tolerance < 0) issues.push('chromaKey.tolerance: expected a number ≥ 0');
+    if (key.contiguous !== undefined && typeof key.contiguous !== 'boolean') {
+      issues.push('chromaKey.contiguous: expected true or false');
+    }
+  }
+
+  if (data.recolor !== undefined) {
+    if (!Array.isArray(data.recolor)) {
+      issues.push('recolor: expected a list of { from, to, tolerance }');
+    } else {
+      data.recolor.forEach((r, i) => {
+        if (!isHex(r?.from) || !isHex(r?.to))            issues.push(`recolor[${i}]: expected "#rrggbb" from and to colours`);
+        if (!isNum(r?.tolerance) || r.tolerance < 0)     issues.push(`recolor[${i}].tolerance: expected a number ≥ 0`);
+      });
+    }
+  }
+  if (data.hitbox      !== undefined) validateBox(data.hitbox, 'hitbox', issues);
+  if (data.slideHitbox !== undefined) validateBox(data.slideHitbox, 'slideHitbox', issues);
+
+  if (!isNum(data.footOffset) || data.footOffset < 0) issues.push('footOffset: expected a number ≥ 0');
+  Object.entries(data.footOffsets ?? {}).forEach(([f, px]) => {
+    if (!isInt(+f) || +f < 0 || +f >= frameCount) issues.push(`footOffsets.${f}: unknown frame`);
+    if (!isNum(px) || px < 0)                     issues.push(`footOffsets.${f}: expected a number ≥ 0`);
+  });
+
+  if (!data.animations || typeof data.animations !== 'object') {
+    issues.push('animations: expected an object of name → animation');
+  } else {
+    REQUIRED_ANIMS.filter(n => !data.animations[n]).forEach(n => issues.push(`animations.${n}: missing`));
+    Object.entries(data.animations).forEach(([n, a]) => validateAnimation(a, `animations.${n}`, frameCount, issues));
+  }
+  if (issues.length) throw new AtlasError(issues);
+
+  // Display metrics: every frame is drawn CHAR_H tall (times its squash)
+  // and placed so its feet sit where a standing frame's feet would
+  const w       = Math.round(CHAR_H * data.frameW / data.frameH);
+  const footOff = Math.round(data.footOffset * CHAR_H / data.frameH);
+  const footOf  = f => data.footOffsets?.[f] ?? data.footOffset;
+
+  const animations = {};
+  Object.entries(data.animations).forEach(([name, a]) => {
+    const h   = Math.round(CHAR_H * (a.squash ?? 1));
+    const fps = a.fps ?? 10;
+    animations[name] = {
+      fps,
+      maxFps: a.maxFps ?? fps,
+      loop:   a.loop ?? true,
+      poses:  a.frames.map(frame => ({
+        frame,
+        h,
+        dy: CHAR_H - footOff - h + Math.round(footOf(frame) * h / data.frameH),
+      })),
+    };
+  });
+  animations.idle ??= animations.run;
+  animations.fall ??= animations.jump;
+
+  return {
+    id:        data.id,
+    name:      data.name ?? data.id,
+    image:     data.image,
+    frameW:    data.frameW,
+    frameH:    data.frameH,
+    cols:      data.cols,
+    chromaKey: { colors: key.colors.map(hexRgb), tolerance: key.tolerance, contiguous: key.contiguous ?? false },
+    recolor:   (data.recolor ?? []).map(r => ({ from: hexRgb(r.from), to: hexRgb(r.to), tolerance: r.tolerance })),
+    w,
+    footOff,
+    // Relative to the standing sprite's top-left (ch.x, ch.y)
+    hitbox:      data.hitbox      ?? { x: 12, y: 8,  w: w - 24, h: CHAR_H - 12 },
+    slideHitbox: data.slideHitbox ?? { x: 10, y: 44, w: w - 20, h: CHAR_H - 48 },
+    animations,
+  };
+}
+
+export const ATLASES = Object.fromEntries(
+  [runnerAtlas, classicAtlas, sprinterAtlas].map(loadAtlas).map(a => [a.id, a]),
+);
+export const DEFAULT_ATLAS = ATLASES.runner;
+
+// ─── Animation state machine ──────────────────────────────────────────────
+function animationFor(ch, phase) {
+  if (phase === 'gameover') return 'dead';
+  if (phase !== 'playing')  return 'idle';
+  if (ch.sliding)           return 'slide';
+  if (!ch.grounded)         return ch.vy > 0 ? 'fall' : 'jump';
+  return 'run';
+}
+
+// Switches to the animation for the runner's state and advances it by dt
+// ms. pace (≥ 1) speeds up animations that have a maxFps.
+export function animate(atlas, ch, phase, dt, pace) {
+  const name = animationFor(ch, phase);
+  const anim = atlas.animations[name];
+  if (anim !== atlas.animations[ch.anim]) {
+    ch.frame     = 0;
+    ch.frameTick = 0;
+  }
+  ch.anim = name;
+
+  const fps = Math.min(anim.maxFps, anim.fps * pace);
+  if (fps <= 0) return;
+  ch.frameTick += dt;
+  if (ch.frameTick > 1000 / fps) {
+    ch.frame      = anim.loop
+      ? (ch.frame + 1) % anim.poses.length
+      : Math.min(ch.frame + 1, anim.poses.length - 1);
+    ch.frameTick -= 1000 / fps;
+  }
+}
+
+// Frame and placement for the runner's current animation. dy offsets the
+// drawn frame from the standing sprite's top edge.
+export function runnerPose(atlas, ch) {
+  const { poses } = atlas.animations[ch.anim];
+  return poses[ch.frame % poses.length];
+}
+
+// ─── Background removal (chroma keying) ───────────────────────────────────
+// Zeroes the alpha of every key-coloured pixel in RGBA data
+export function keyPixels(d, width, height, atlas) {
+  const { colors, tolerance, contiguous } = atlas.chromaKey;
+  const tol2  = tolerance * tolerance;
+  const isKey = p => colors.some(([r, g, b]) => {
+    const dr = d[p * 4] - r, dg = d[p * 4 + 1] - g, db = d[p * 4 + 2] - b;
+    return dr * dr + dg * dg + db * db <= tol2;
+  });
+
+  if (!contiguous) {
+    for (let p = 0; p < width * height; p++) if (isKey(p)) d[p * 4 + 3] = 0;
+    return;
+  }
+
+  // Flood fill from every cell edge
+  const seen  = new Uint8Array(width * height);
+  const stack = [];
+  const visit = (x, y) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const p = y * width + x;
+    if (seen[p] || !isKey(p)) return;
+    seen[p] = 1;
+    stack.push(p);
+  };
+  for (let x = 0; x < width; x += atlas.frameW) {
+    for (let y = 0; y < height; y++) { visit(x, y); visit(x + atlas.frameW - 1, y); }
+  }
+  for (let y = 0; y < height; y += atlas.frameH) {
+    for (let x = 0; x < width; x++) { visit(x, y); visit(x, y + atlas.frameH - 1); }
+  }
+  while (stack.length) {
+    const p = stack.pop();
+    const x = p % width, y = (p - x) / width;
+    d[p * 4 + 3] = 0;
+    visit(x + 1, y); visit(x - 1, y); visit(x, y + 1); visit(x, y - 1);
+  }
+}
+
+// Shifts opaque pixels near each recolor "from" colour by (to - from)
+export function recolorPixels(d, atlas) {
+  atlas.recolor.forEach(({ from, to, tolerance }) => {
+    const tol2  = tolerance * tolerance;
+    const shift = to.map((c, i) => c - from[i]);
+    for (let i = 0; i < d.length; i += 4) {
+      if (!d[i + 3]) continue;
+      const dr = d[i] - from[0], dg = d[i + 1] - from[1], db = d[i + 2] - from[2];
+      if (dr * dr + dg * dg + db * db > tol2) continue;
+      d[i] += shift[0]; d[i + 1] += shift[1]; d[i + 2] += shift[2];
+    }
+  });
+}
+
+export function processSprite(img, atlas) {
+  const oc  = document.createElement('canvas');
+  oc.width  = img.naturalWidth;
+  oc.height = img.naturalHeight;
+  const ox  = oc.getContext('2d', { willReadFrequently: true });
+  ox.drawImage(img, 0, 0);
+  const id  = ox.getImageData(0, 0, oc.width, oc.height);
+  keyPixels(id.data, oc.width, oc.height, atlas);
+  recolorPixels(id.data, atlas);
+  ox.putImageData(id, 0, 0);
+  return oc;
+}
+
+// Draws one frame from the processed sprite canvas at target position / size
+export function drawSprite(ctx, spriteCanvas, atlas, frameIdx, dx, dy, dw, dh) {
+  const col = frameIdx % atlas.cols;
+  const row = Math.floor(frameIdx / atlas.cols);
+  ctx.drawImage(
+    spriteCanvas,
+    col * atlas.frameW, row * atlas.frameH, atlas.frameW, atlas.frameH,
+    dx, dy, dw, dh,
+  );
+}
+
+// Draws the runner's current pose; y is the standing sprite's top edge
+export function drawRunner(ctx, spriteCanvas, atlas, ch, x, y) {
+  const pose = runnerPose(atlas, ch);
+  drawSprite(ctx, spriteCanvas, atlas, pose.frame, x, Math.round(y + pose.dy), atlas.w, pose.h);
+}
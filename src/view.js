@@ -0,0 +1,18 @@
+import { VIEW_W, VIEW_H } from './constants';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Viewport fitting
+//  The game draws in VIEW_W × VIEW_H virtual px. The canvas backing store is
+//  that times `scale` device px, with `scale` a whole number whenever the
+//  screen is at least the virtual size so pixel art stays sharp; smaller
+//  screens get a fractional fit. The stage holding the canvas and its DOM
+//  overlays is laid out in virtual px and CSS-scaled by `css`.
+// ─────────────────────────────────────────────────────────────────────────
+export function fitView(cssW, cssH, dpr) {
+  const fit   = Math.min((cssW * dpr) / VIEW_W, (cssH * dpr) / VIEW_H);
+  const scale = fit >= 1 ? Math.floor(fit) : fit;
+  // Centred, snapped to whole device px
+  const left  = Math.round((cssW * dpr - VIEW_W * scale) / 2) / dpr;
+  const top   = Math.round((cssH * dpr - VIEW_H * scale) / 2) / dpr;
+  return { scale, css: scale / dpr, left, top };
+}
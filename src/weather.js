@@ -0,0 +1,90 @@
+import { makeRng, subSeed, SEED_WEATHER, SEED_PARTICLES } from './rng';
+import { scalePhysics } from './sim';
+
+// ─────────────────────────────────────────────────────────────────────────
+//  Weather
+//  One weather per run, picked from the run seed unless forced in Settings.
+//  The particle layers are always drawn; with weather effects on, each
+//  weather also changes how the run plays:
+//    stats   multipliers on the physics settings
+//    skid    ticks a held slide carries on after release (wet ground)
+//    sight   px ahead of the runner at which obstacles fade in
+// ─────────────────────────────────────────────────────────────────────────
+export const WEATHER = {
+  clear: { id: 'clear', label: 'CLEAR', chance: 0.5 },
+  rain:  { id: 'rain',  label: 'RAIN',  chance: 0.2,  skid: 18 },
+  snow:  { id: 'snow',  label: 'SNOW',  chance: 0.15, stats: { gravity: 0.92, jumpForce: 0.95, maxSpeed: 0.85 } },
+  fog:   { id: 'fog',   label: 'FOG',   chance: 0.15, sight: 420 },
+};
+
+export function weatherById(id) {
+  return WEATHER[id] ?? WEATHER.clear;
+}
+
+export function pickWeather(seed) {
+  let r = makeRng(subSeed(seed, SEED_WEATHER))();
+  for (const w of Object.values(WEATHER)) {
+    r -= w.chance;
+    if (r < 0) return w;
+  }
+  return WEATHER.clear;
+}
+
+export function weatherPhysics(weather, fx, physics) {
+  return fx && weather.stats ? scalePhysics(physics, `weather:${weather.id}`, weather.stats) : physics;
+}
+
+// Obstacle opacity at dx px ahead of the runner (fog with effects on)
+export function obstacleVisibility(weather, fx, dx) {
+  if (!fx || !weather.sight) return 1;
+  return Math.min(1, Math.max(0, (weather.sight - dx) / 160));
+}
+
+// ─── Particles ────────────────────────────────────────────────────────────
+// Positions are a function of time only, so nothing is updated per frame
+export function genParticles(seed, weather, w, groundY) {
+  const rng = makeRng(subSeed(seed, SEED_PARTICLES));
+  if (weather.id === 'rain') {
+    return Array.from({ length: 140 }, () => ({
+      x: rng() * w, y: rng() * groundY, v: 0.9 + rng() * 0.5, len: 10 + rng() * 8,
+    }));
+  }
+  if (weather.id === 'snow') {
+    return Array.from({ length: 120 }, () => ({
+      x: rng() * w, y: rng() * groundY, v: 0.03 + rng() * 0.05, r: rng() < 0.3 ? 2 : 1,
+      sway: 6 + rng() * 14, sp: rng() * Math.PI * 2,
+    }));
+  }
+  return [];
+}
+
+const RAIN_SLANT = 0.22; // px sideways per px fallen
+
+// t: wall-clock ms, so weather keeps moving on the title screen
+export function drawWeather(ctx, weather, particles, t, w, groundY) {
+  if (weather.id === 'rain') {
+    ctx.strokeStyle = 'rgba(170,190,255,0.45)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    particles.forEach(p => {
+      const y = (p.y + t * p.v) % groundY;
+      const x = (((p.x - y * RAIN_SLANT) % w) + w) % w;
+      ctx.moveTo(x, y);
+      ctx.lineTo(x + p.len * RAIN_SLANT, y + p.len);
+    });
+    ctx.stroke();
+  } else if (weather.id === 'snow') {
+    ctx.fillStyle = 'rgba(255,255,255,0.8)';
+    particles.forEach(p => {
+      const y = (p.y + t * p.v) % groundY;
+      const x = p.x + Math.sin(t * 0.001 + p.sp) * p.sway;
+      ctx.fillRect(Math.round(x), Math.round(y), p.r, p.r);
+    });
+  } else if (weather.id === 'fog') {
+    const g = ctx.createLinearGradient(0, groundY * 0.35, 0, groundY);
+    g.addColorStop(0, 'rgba(150,150,185,0)');
+    g.addColorStop(1, 'rgba(150,150,185,0.45)');
+    ctx.fillStyle = g;
+    ctx.fillRect(0, 0, w, groundY);
+  }
+}